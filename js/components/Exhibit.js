@@ -0,0 +1,103 @@
+import { SimulationClock } from '../utils/SimulationClock.js';
+
+/**
+ * EXHIBIT LIFECYCLE
+ * Shared contract for every work in the gallery. GalleryNav drives it via the
+ * ExhibitRegistry:
+ *
+ *   mount()      - Build DOM/GPU resources and bind input. Called once.
+ *   activate()   - Exhibit is becoming visible: start the render loop.
+ *   deactivate() - Exhibit is hidden: stop the loop (zero CPU while away).
+ *   resize()     - Viewport changed while visible.
+ *   destroy()    - Stop everything and remove every listener added via listen().
+ *
+ * Each frame runs through a fixed-step SimulationClock: subclasses implement
+ * step(dt) for physics and render(alpha) for drawing, interpolating between
+ * the previous and current step by alpha. Listeners registered with
+ * listen()/observeResize() are undone by destroy().
+ */
+export class Exhibit {
+    constructor() {
+        this.isMounted = false;
+        this.isActive = false;
+        this.frameId = null;
+        this.disposers = [];
+        this.clock = new SimulationClock();
+    }
+
+    mount() {
+        this.isMounted = true;
+    }
+
+    activate() {
+        this.isActive = true;
+        this.startLoop();
+    }
+
+    deactivate() {
+        this.isActive = false;
+        this.stopLoop();
+    }
+
+    resize() { }
+
+    destroy() {
+        this.deactivate();
+        this.disposers.splice(0).forEach(dispose => dispose());
+        this.isMounted = false;
+    }
+
+    /**
+     * Advances the simulation by one fixed step (dt in seconds).
+     */
+    step() { }
+
+    /**
+     * Draws the current state. alpha blends from the previous step (0) to the current one (1).
+     */
+    render() { }
+
+    /**
+     * Per-frame work. Only called while the exhibit is active.
+     */
+    tick(now) {
+        const alpha = this.clock.advance(now, (dt) => this.step(dt));
+        this.render(alpha);
+    }
+
+    startLoop() {
+        if (this.frameId !== null) return; // Already running
+        this.clock.reset(); // No catch-up burst after being hidden
+        const loop = (now) => {
+            this.frameId = requestAnimationFrame(loop);
+            this.tick(now);
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    stopLoop() {
+        if (this.frameId === null) return;
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    /**
+     * addEventListener that is automatically removed on destroy().
+     */
+    listen(target, type, handler, options) {
+        if (!target) return;
+        target.addEventListener(type, handler, options);
+        this.disposers.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    /**
+     * ResizeObserver that is automatically disconnected on destroy().
+     */
+    observeResize(element, callback) {
+        if (!element || typeof ResizeObserver === 'undefined') return null;
+        const observer = new ResizeObserver(callback);
+        observer.observe(element);
+        this.disposers.push(() => observer.disconnect());
+        return observer;
+    }
+}
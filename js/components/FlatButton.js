@@ -0,0 +1,476 @@
+import { audioManager } from '../utils/AudioManager.js';
+import { APP_CONFIG } from '../config.js';
+import { rng } from '../utils/Random.js';
+import { Exhibit } from './Exhibit.js';
+
+// Matches the RubberButton camera (FOV 18 at ~1350 units): world units visible vertically
+const VIEW_HEIGHT = 430;
+const DOME_RADIUS = 66;
+const DOME_HEIGHT = DOME_RADIUS * 0.7;
+const CONFETTI_COLORS = ['#8a0303', '#111111', '#e3dac9', '#2f4f4f'];
+
+/**
+ * COMPONENT: Flat Rubber Button (2D Canvas Fallback)
+ *
+ * Stand-in for RubberButton when WebGL or Three.js is unavailable.
+ * Uses the same APP_CONFIG.BUTTON / CONFETTI values in world units,
+ * projected to match the 3D camera framing.
+ *
+ * Features:
+ * - Squash & stretch dome (area-preserving).
+ * - Heartbeat pulse + thump.
+ * - 2D paper confetti burst.
+ */
+export class FlatButton extends Exhibit {
+    /**
+     * @param {string} reason - Why the WebGL version is unavailable (shown on the label).
+     */
+    constructor(reason) {
+        super();
+        this.reason = reason;
+        this.canvas = document.getElementById('buttonCanvas');
+        this.random = rng.stream('button');
+        this.ctx = null;
+
+        this.state = {
+            isDragging: false,
+            isExploded: false,
+            isRegenerating: false,
+            regrowthProgress: 1.0,
+            beatPhase: 0,
+        };
+        this.localTime = 0;
+
+        // World units, Y up (same convention as the 3D scene)
+        this.physics = {
+            grab: { x: 0, y: 0 },
+            dragOffset: { x: 0, y: 0 },
+            prevDragOffset: { x: 0, y: 0 },
+            returnVelocity: { x: 0, y: 0 },
+            pressY: 0,
+            targetPressY: 0
+        };
+        this.pointer = { x: 0, y: 0 };
+        this.pointerId = null; // Pointer holding the dome (see bindEvents)
+
+        this.view = { w: 0, h: 0, cx: 0, cy: 0, ppu: 1 };
+        this.particles = [];
+        this.confettiIndex = 0;
+    }
+
+    /**
+     * APP_CONFIG.BUTTON, read live (setConfig swaps in a new tree).
+     */
+    get config() {
+        return APP_CONFIG.BUTTON;
+    }
+
+    mount() {
+        if (!this.canvas) return;
+        super.mount();
+
+        // A canvas that already failed a WebGL attempt cannot hand out a 2D context
+        const fresh = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(fresh);
+        this.canvas = fresh;
+        this.ctx = this.canvas.getContext('2d');
+
+        this.initConfetti();
+        this.bindEvents();
+        this.reportFallback();
+        this.canvas.style.display = 'none'; // Hide initially
+    }
+
+    reportFallback() {
+        const label = document.querySelector('.button-label');
+        if (!label) return;
+        const meta = document.createElement('p');
+        meta.className = 'label-meta';
+        meta.textContent = `2D edition: ${this.reason}`;
+        label.appendChild(meta);
+    }
+
+    initConfetti() {
+        const count = APP_CONFIG.CONFETTI.POOL_SIZE;
+        for (let i = 0; i < count; i++) {
+            this.particles.push({
+                x: 0, y: 0, z: 0,
+                prevX: 0, prevY: 0,
+                vx: 0, vy: 0, vz: 0,
+                tiltAngle: 0, tiltAngleIncrement: 0,
+                wobble: 0, wobbleIncrement: 0,
+                spin: 0,
+                color: CONFETTI_COLORS[0],
+                baseScale: 1, scale: 0,
+                life: 0
+            });
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // INPUT
+    // -------------------------------------------------------------------------
+    toWorld(clientX, clientY) {
+        const { cx, cy, ppu } = this.view;
+        return { x: (clientX - cx) / ppu, y: (cy - clientY) / ppu };
+    }
+
+    bindEvents() {
+        const onDown = (e) => {
+            if (e.cancelable) e.preventDefault(); // STOP SCROLLING
+            if (this.state.isExploded || this.state.isRegenerating) return;
+
+            const p = this.toWorld(e.clientX, e.clientY);
+            const dx = p.x / DOME_RADIUS;
+            const dy = (p.y - this.physics.pressY) / DOME_HEIGHT;
+            if (dy < -0.2 || dx * dx + dy * dy > 1.0) return; // Missed the dome
+
+            this.state.isDragging = true;
+            this.pointerId = e.pointerId;
+            this.physics.grab = p;
+            this.physics.dragOffset = { x: 0, y: 0 };
+            this.physics.returnVelocity = { x: 0, y: 0 };
+            this.physics.targetPressY = -10.0;
+            audioManager.playTone(150, 'square', 0.1, 0.3);
+            this.canvas.style.cursor = 'grabbing';
+        };
+
+        const onMove = (e) => {
+            if (this.state.isDragging && e.cancelable) e.preventDefault();
+            const p = this.toWorld(e.clientX, e.clientY);
+            this.pointer = p;
+
+            if (!this.state.isDragging || this.state.isExploded) return;
+
+            const P = this.physics;
+            P.dragOffset = { x: p.x - P.grab.x, y: p.y - P.grab.y };
+            if (P.dragOffset.y > 5) P.targetPressY = 0;
+            if (Math.hypot(P.dragOffset.x, P.dragOffset.y) > this.config.snapLimit) {
+                this.explode();
+            }
+        };
+
+        // "STICKY HAND": Same BUTTON.release policy as RubberButton.onPointerUp
+        // (touch and cancelled pointers always let go)
+        const onUp = (e) => {
+            if (!this.state.isDragging || e.pointerId !== this.pointerId) return;
+
+            const isSticky = this.config.release === 'sticky' && e.pointerType !== 'touch' && e.type !== 'pointercancel';
+            if (isSticky) return;
+
+            this.state.isDragging = false;
+            this.pointerId = null;
+            this.physics.targetPressY = 0;
+            this.canvas.style.cursor = '';
+        };
+
+        this.listen(this.canvas, 'pointerdown', onDown);
+        this.listen(window, 'pointermove', onMove);
+        this.listen(window, 'pointerup', onUp);
+        this.listen(window, 'pointercancel', onUp);
+    }
+
+    // -------------------------------------------------------------------------
+    // LIFECYCLE
+    // -------------------------------------------------------------------------
+    activate() {
+        if (!this.isMounted) return;
+        this.localTime = 0;
+        this.state.beatPhase = 0;
+        this.resize();
+        this.canvas.style.display = 'block';
+        super.activate();
+    }
+
+    deactivate() {
+        super.deactivate();
+        if (this.canvas) this.canvas.style.display = 'none';
+    }
+
+    resize() {
+        if (!this.canvas || !this.ctx) return;
+        const dpr = Math.min(window.devicePixelRatio || 1, 2);
+        const w = window.innerWidth;
+        const h = window.innerHeight;
+
+        this.canvas.width = w * dpr;
+        this.canvas.height = h * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        const ppu = h / VIEW_HEIGHT;
+        // 3D camera looks at y = -20, so the dome sits slightly above center
+        this.view = { w, h, ppu, cx: w / 2, cy: h / 2 - 20 * ppu };
+    }
+
+    // -------------------------------------------------------------------------
+    // SIMULATION (Fixed Step)
+    // -------------------------------------------------------------------------
+    step(dt) {
+        this.localTime += dt * 1000;
+        this.updateConfetti();
+        if (this.state.isExploded) return;
+
+        const P = this.physics;
+        P.prevDragOffset = { ...P.dragOffset };
+        P.pressY += (P.targetPressY - P.pressY) * 0.6;
+
+        if (this.state.isRegenerating) {
+            this.state.regrowthProgress += 0.04; // Same pace as RubberButton
+            if (this.state.regrowthProgress >= 1.0) {
+                this.state.regrowthProgress = 1.0;
+                this.state.isRegenerating = false;
+            }
+        }
+
+        if (!this.state.isDragging) {
+            // Spring Force: F = -k * x
+            const R = P.returnVelocity;
+            R.x = (R.x - P.dragOffset.x * this.config.stiffness) * this.config.damping;
+            R.y = (R.y - P.dragOffset.y * this.config.stiffness) * this.config.damping;
+            P.dragOffset.x += R.x;
+            P.dragOffset.y += R.y;
+        }
+
+        this.updateHeartbeat();
+    }
+
+    updateHeartbeat() {
+        if (this.state.isRegenerating) return;
+        const phase = this.localTime % this.config.beatRate;
+        const pulseDur = 300;
+
+        if (phase > pulseDur && this.state.beatPhase === 1) {
+            this.state.beatPhase = 0;
+        }
+        if (phase < 50 && this.state.beatPhase === 0) {
+            audioManager.playTone(80, 'triangle', 0.15, 1.0);
+            this.state.beatPhase = 1;
+        }
+    }
+
+    explode() {
+        if (this.state.isExploded) return;
+        this.state.isExploded = true;
+        this.state.isDragging = false;
+        this.canvas.style.cursor = 'grab';
+
+        this.canvas.style.backgroundColor = 'rgba(255,255,255,0.2)';
+        setTimeout(() => this.canvas.style.backgroundColor = '', 150);
+
+        audioManager.playPop();
+        audioManager.playSadSigh();
+
+        const C = APP_CONFIG.CONFETTI;
+        const total = this.particles.length;
+        const center = { x: 0, y: -60, z: 0 }; // Shoot from underneath (inside pillar)
+
+        for (let i = 0; i < C.BATCH_SIZE; i++) {
+            const p = this.particles[this.confettiIndex % total];
+            this.confettiIndex++;
+
+            // SPAWN: Upper hemisphere (same distribution as the 3D burst)
+            const theta = this.random.next() * Math.PI * 2;
+            const phi = Math.acos(this.random.next());
+            const r = Math.cbrt(this.random.next()) * C.SPAWN_RADIUS;
+            const x = r * Math.sin(phi) * Math.cos(theta);
+            const y = r * Math.sin(phi) * Math.sin(theta);
+            const z = r * Math.cos(phi);
+
+            p.x = p.prevX = center.x + x;
+            p.y = p.prevY = center.y + y;
+            p.z = center.z + z;
+
+            // VELOCITY: Radial Explosion + Upward Bias
+            const len = Math.hypot(x, y, z);
+            const dir = len > 0 ? { x: x / len, y: y / len, z: z / len } : { x: 0, y: 1, z: 0 };
+            const speed = C.EXPLOSION_POWER * (0.2 + this.random.next() * 0.8);
+            p.vx = dir.x * speed;
+            p.vy = dir.y * speed + C.VELOCITY_Y_BASE + this.random.next() * C.VELOCITY_Y_VAR;
+            p.vz = dir.z * speed;
+
+            // Flutter State
+            p.tiltAngle = this.random.next() * Math.PI;
+            p.tiltAngleIncrement = (this.random.next() * 0.1) + 0.05;
+            p.wobble = this.random.next() * Math.PI * 2;
+            p.wobbleIncrement = (this.random.next() * 0.1) + 0.05;
+            p.spin = this.random.next() * Math.PI;
+
+            const rndColor = this.random.next();
+            if (rndColor < 0.4) p.color = CONFETTI_COLORS[0];
+            else if (rndColor < 0.6) p.color = CONFETTI_COLORS[1];
+            else if (rndColor < 0.8) p.color = CONFETTI_COLORS[2];
+            else p.color = CONFETTI_COLORS[3];
+
+            p.life = 2.0 + this.random.next() * 1.5;
+
+            // DEPTH SCALING: Front (Z+) -> Big, Back (Z-) -> Small
+            const depthNorm = (z + C.SPAWN_RADIUS) / (2 * C.SPAWN_RADIUS);
+            const clampedDepth = Math.max(0, Math.min(1, depthNorm));
+            p.baseScale = C.SCALE_MIN + clampedDepth * (C.SCALE_MAX - C.SCALE_MIN);
+            p.scale = p.baseScale;
+        }
+
+        // REGENERATE FAST
+        setTimeout(() => {
+            if (!this.state.isExploded) return;
+            this.state.isExploded = false;
+            this.state.isRegenerating = true;
+            this.state.regrowthProgress = 0.0;
+            this.physics.dragOffset = { x: 0, y: 0 };
+            this.physics.prevDragOffset = { x: 0, y: 0 };
+            this.physics.returnVelocity = { x: 0, y: 0 };
+            this.physics.pressY = 0;
+            this.physics.targetPressY = 0;
+            audioManager.playTone(100, 'sine', 0.3, 0.2);
+        }, 50);
+    }
+
+    /**
+     * Paper physics for one fixed step. Mirrors RubberButton.updateConfetti()
+     * with the cursor treated as a point in the dome's plane.
+     */
+    updateConfetti() {
+        const C = APP_CONFIG.CONFETTI;
+
+        this.particles.forEach((p) => {
+            if (p.life <= 0) return;
+            p.prevX = p.x; p.prevY = p.y;
+
+            // Dual-Zone Interaction (Repulse / Attract)
+            const dx = p.x - this.pointer.x;
+            const dy = p.y - this.pointer.y;
+            const distSq = dx * dx + dy * dy;
+            const dist = Math.sqrt(distSq) || 1;
+            if (distSq < C.REPULSE_RADIUS_SQ) {
+                p.vx += (dx / dist) * C.REPULSE_STRENGTH;
+                p.vy += (dy / dist) * C.REPULSE_STRENGTH;
+            } else if (distSq < C.ATTRACT_RADIUS_SQ) {
+                p.vx -= (dx / dist) * C.ATTRACT_STRENGTH;
+                p.vy -= (dy / dist) * C.ATTRACT_STRENGTH;
+            }
+
+            p.x += p.vx; p.y += p.vy; p.z += p.vz;
+
+            // Aerodynamics
+            p.vy -= C.GRAVITY;
+            p.vx *= C.DRAG; p.vy *= C.DRAG; p.vz *= C.DRAG;
+            if (p.vy < -C.TERMINAL_VEL) p.vy = -C.TERMINAL_VEL;
+
+            // Flutter
+            p.tiltAngle += p.tiltAngleIncrement;
+            p.wobble += p.wobbleIncrement;
+            p.x += Math.sin(p.tiltAngle) * C.FLUTTER_AMP * 0.1;
+            p.z += Math.cos(p.tiltAngle) * C.FLUTTER_AMP * 0.1;
+            p.spin += 0.02;
+
+            p.life -= C.LIFE_DECAY;
+            if (p.life <= 0 || p.y < C.DEATH_Y) p.life = 0;
+            p.scale = p.baseScale * Math.min(1.0, p.life * C.SCALE_FACTOR);
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDER
+    // -------------------------------------------------------------------------
+    render(alpha) {
+        const ctx = this.ctx;
+        const { w, h } = this.view;
+        ctx.clearRect(0, 0, w, h);
+
+        this.drawPedestal();
+        if (!this.state.isExploded) this.drawDome(alpha);
+        this.drawConfetti(alpha);
+    }
+
+    drawPedestal() {
+        const ctx = this.ctx;
+        const { cx, cy, ppu } = this.view;
+        const pillarW = 220 * ppu;
+        const topDepth = 50 * ppu; // Foreshortened top face
+        const top = cy + 20 * ppu;
+
+        // Top Face
+        ctx.fillStyle = '#cccccc';
+        ctx.fillRect(cx - pillarW / 2, top - topDepth, pillarW, topDepth);
+        // Front Face
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(cx - pillarW / 2, top, pillarW, 600 * ppu);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(cx - pillarW / 2, top - topDepth, pillarW, topDepth + 600 * ppu);
+
+        // Puck
+        ctx.fillStyle = '#1a1a1a';
+        ctx.beginPath();
+        ctx.ellipse(cx, cy + 5 * ppu, 75 * ppu, 17 * ppu, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    drawDome(alpha) {
+        const ctx = this.ctx;
+        const { cx, cy, ppu } = this.view;
+        const P = this.physics;
+
+        const drag = this.state.isDragging ? P.dragOffset : {
+            x: P.prevDragOffset.x + (P.dragOffset.x - P.prevDragOffset.x) * alpha,
+            y: P.prevDragOffset.y + (P.dragOffset.y - P.prevDragOffset.y) * alpha
+        };
+
+        // Heartbeat Pulse
+        let pulse = 1.0;
+        const phase = this.localTime % this.config.beatRate;
+        if (phase < 300) pulse = 1.0 + Math.sin((phase / 300) * Math.PI) * 0.05;
+
+        // Regrowth (ease-out, same curve as RubberButton)
+        const t = this.state.regrowthProgress;
+        const grow = this.state.isRegenerating ? 1 - Math.pow(1 - t, 3) : 1.0;
+
+        // SQUASH & STRETCH: Height follows the drag, width preserves area
+        const restH = DOME_HEIGHT + P.pressY;
+        const height = Math.max(DOME_HEIGHT * 0.3, restH + drag.y);
+        const width = DOME_RADIUS * Math.sqrt(DOME_HEIGHT / height);
+
+        const hw = width * pulse * grow * ppu;
+        const hh = height * pulse * grow * ppu;
+        const tipX = drag.x * ppu;
+
+        ctx.save();
+        ctx.translate(cx, cy);
+        ctx.beginPath();
+        ctx.moveTo(-hw, 0);
+        ctx.bezierCurveTo(-hw, -hh * 0.6, tipX - hw * 0.6, -hh, tipX, -hh);
+        ctx.bezierCurveTo(tipX + hw * 0.6, -hh, hw, -hh * 0.6, hw, 0);
+        ctx.closePath();
+
+        const grad = ctx.createRadialGradient(tipX - hw * 0.3, -hh * 0.7, 2, 0, -hh * 0.4, hw * 1.2);
+        grad.addColorStop(0, '#ff6b6b');
+        grad.addColorStop(0.4, '#d92b2b');
+        grad.addColorStop(1, '#440000');
+        ctx.fillStyle = grad;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#000000';
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawConfetti(alpha) {
+        const ctx = this.ctx;
+        const { cx, cy, ppu } = this.view;
+
+        this.particles.forEach((p) => {
+            if (p.life <= 0) return;
+            const x = p.prevX + (p.x - p.prevX) * alpha;
+            const y = p.prevY + (p.y - p.prevY) * alpha;
+            const s = p.scale * ppu;
+
+            ctx.save();
+            ctx.translate(cx + x * ppu, cy - y * ppu);
+            ctx.rotate(p.tiltAngle + p.spin);
+            ctx.scale(1, Math.cos(p.wobble)); // Paper flipping edge-on
+            ctx.fillStyle = p.color;
+            ctx.fillRect(-4 * s, -2 * s, 8 * s, 4 * s);
+            ctx.restore();
+        });
+    }
+}
@@ -1,27 +1,46 @@
+import { APP_CONFIG } from '../config.js';
+
+/**
+ * True for targets that use arrow keys themselves (inputs incl. sliders, textareas,
+ * selects, contenteditable).
+ */
+function isEditable(target) {
+    if (!target) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || Boolean(target.isContentEditable);
+}
+
 export class GalleryNav {
-    constructor() {
+    /**
+     * @param {ExhibitRegistry} registry - Ordered exhibits to navigate.
+     * @param {Object} [options]
+     * @param {boolean} [options.wrap] - Loop from the last exhibit back to the first.
+     */
+    constructor(registry, options = {}) {
+        this.registry = registry;
+        this.wrap = options.wrap ?? APP_CONFIG.GALLERY.WRAP;
         this.nextBtn = document.getElementById('navNext');
         this.prevBtn = document.getElementById('navPrev');
-        this.exhibits = {
-            1: document.getElementById('exhibit-1'),
-            2: document.getElementById('exhibit-2')
-        };
-        this.buttonCanvas = document.getElementById('buttonCanvas');
-        this.currentExhibit = 1;
+        this.currentIndex = 0;
         this.isTransitioning = false;
+        this.pendingIndex = -1; // History navigation that arrived mid-transition
         this.init();
     }
 
     init() {
-        if (this.nextBtn) this.nextBtn.addEventListener('click', () => this.switchExhibit(2));
-        if (this.prevBtn) this.prevBtn.addEventListener('click', () => this.switchExhibit(1));
+        if (this.nextBtn) this.nextBtn.addEventListener('click', () => this.next());
+        if (this.prevBtn) this.prevBtn.addEventListener('click', () => this.prev());
 
         // KEYBOARD NAVIGATION
         window.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowRight') this.switchExhibit(2);
-            if (e.key === 'ArrowLeft') this.switchExhibit(1);
+            if (e.defaultPrevented) return; // A focused control (e.g. #buttonControl) used the key
+            if (isEditable(e.target)) return; // Fields and sliders own their arrow keys
+            if (e.key === 'ArrowRight') this.next();
+            if (e.key === 'ArrowLeft') this.prev();
         });
 
+        // RESIZE: Only the visible exhibit needs to re-layout
+        window.addEventListener('resize', () => this.registry.call(this.currentIndex, 'resize'));
+
         // TOUCH / SWIPE NAVIGATION
         // Minimal swipe detection for mobile users
         let touchStartX = 0;
@@ -44,6 +63,74 @@ export class GalleryNav {
             const btnLabel = document.querySelector('.button-label');
             if (btnLabel) btnLabel.classList.add('layout-stabilized');
         }, 100);
+
+        // HISTORY: Back/Forward replays exhibits without pushing new entries
+        window.addEventListener('popstate', () => this.onPopState());
+
+        // INITIAL STATE: First exhibit is marked active in the HTML,
+        // unless the URL deep-links (or GALLERY.START points) somewhere else (no slide animation)
+        const linked = this.indexFromLocation();
+        this.jumpTo(linked !== -1 ? linked : this.startIndex());
+
+        this.registry.call(this.currentIndex, 'activate');
+        this.dispatchChange();
+        this.updateArrows();
+    }
+
+    /**
+     * Reads the exhibit slug from the URL hash (e.g. #the-button).
+     * Returns -1 if the hash is empty, malformed (e.g. #%E0%A4%A) or unknown.
+     */
+    indexFromLocation() {
+        let hash;
+        try {
+            hash = decodeURIComponent(window.location.hash.slice(1));
+        } catch (e) {
+            return -1; // URIError: fall back to the gallery entrance
+        }
+        if (!hash) return -1;
+        return this.registry.indexOfSlug(hash);
+    }
+
+    /**
+     * The gallery entrance: APP_CONFIG.GALLERY.START's exhibit, else the first.
+     */
+    startIndex() {
+        const { START } = APP_CONFIG.GALLERY;
+        const index = START ? this.registry.indexOfSlug(START) : -1;
+        return index === -1 ? 0 : index;
+    }
+
+    onPopState() {
+        const index = this.indexFromLocation();
+        const target = index === -1 ? this.startIndex() : index; // Empty hash = gallery entrance
+
+        if (this.isTransitioning) {
+            this.pendingIndex = target;
+            return;
+        }
+        this.switchExhibit(target, undefined, { updateHistory: false });
+    }
+
+    /**
+     * Swaps the visible section instantly. Used to restore a deep link on load.
+     */
+    jumpTo(index) {
+        const current = this.registry.get(this.currentIndex);
+        const target = this.registry.get(index);
+        if (!target || index === this.currentIndex) return;
+
+        if (current && current.section) current.section.classList.remove('active');
+        if (target.section) target.section.classList.add('active');
+        this.currentIndex = index;
+    }
+
+    dispatchChange() {
+        const exhibit = this.registry.get(this.currentIndex);
+        if (!exhibit) return;
+        window.dispatchEvent(new CustomEvent('exhibit-changed', {
+            detail: { id: exhibit.sectionId, index: this.currentIndex, title: exhibit.title, slug: exhibit.slug }
+        }));
     }
 
     handleSwipe(startX, startY, endX, endY) {
@@ -58,39 +145,67 @@ export class GalleryNav {
         if (Math.abs(diffX) > minSwipeDistance && Math.abs(diffY) < maxVerticalVariance) {
             if (diffX > 0) {
                 // Swiped Left -> Next
-                this.switchExhibit(2);
+                this.next();
             } else {
                 // Swiped Right -> Prev
-                this.switchExhibit(1);
+                this.prev();
             }
         }
     }
 
-    switchExhibit(id) {
-        if (id === this.currentExhibit) return;
+    /**
+     * Resolves a neighbour index, honouring the wraparound option.
+     * Returns -1 when there is nowhere to go.
+     */
+    neighbour(step) {
+        const count = this.registry.count;
+        const target = this.currentIndex + step;
+        if (this.wrap && count > 1) return (target + count) % count;
+        return (target >= 0 && target < count) ? target : -1;
+    }
+
+    next() {
+        const target = this.neighbour(1);
+        if (target !== -1) this.switchExhibit(target, 'next');
+    }
+
+    prev() {
+        const target = this.neighbour(-1);
+        if (target !== -1) this.switchExhibit(target, 'prev');
+    }
+
+    /**
+     * @param {number} index - Registry index of the exhibit to show.
+     * @param {string} [direction] - 'next' | 'prev'. Inferred from order if omitted.
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHistory=true] - Push a history entry for the new exhibit.
+     */
+    switchExhibit(index, direction, { updateHistory = true } = {}) {
+        if (index === this.currentIndex) return;
         if (this.isTransitioning) return; // Prevent spamming
 
+        const current = this.registry.get(this.currentIndex);
+        const target = this.registry.get(index);
+        if (!target) return;
+
         this.isTransitioning = true;
-        const currentId = this.currentExhibit;
-        const direction = id > currentId ? 'next' : 'prev';
+        const currentIndex = this.currentIndex;
+        direction = direction || (index > currentIndex ? 'next' : 'prev');
 
         // 1. SELECT ELEMENTS
-        const currentEl = this.exhibits[currentId];
-        const nextEl = this.exhibits[id];
-        const canvas = this.buttonCanvas;
+        const currentEl = current ? current.section : null;
+        const nextEl = target.section;
+        const currentLayers = this.getLayers(current);
+        const nextLayers = this.getLayers(target);
 
         // 2. DETERMINE CLASSES
         const outClass = direction === 'next' ? 'slide-out-left' : 'slide-out-right';
         const inClass = direction === 'next' ? 'slide-in-right' : 'slide-in-left';
 
-        // 3. PREPARE CANVAS STATE (Render before Slide In)
-        if (id === 2 && window.rubberButton) {
-            window.rubberButton.setActive(true); // Start rendering off-screen
-            if (canvas) canvas.classList.add(inClass);
-        }
-        if (currentId === 2 && canvas) {
-            canvas.classList.add(outClass);
-        }
+        // 3. PREPARE INCOMING EXHIBIT (Render before Slide In)
+        this.registry.call(index, 'activate');
+        nextLayers.forEach(el => el.classList.add(inClass));
+        currentLayers.forEach(el => el.classList.add(outClass));
 
         // 4. APPLY ANIMATION STATES
         if (nextEl) nextEl.classList.add(inClass);
@@ -107,17 +222,24 @@ export class GalleryNav {
                 nextEl.classList.add('active');
             }
 
-            // Clean classes (Canvas)
-            if (canvas) canvas.classList.remove('slide-in-right', 'slide-in-left', 'slide-out-left', 'slide-out-right');
+            // Clean classes (Layers)
+            [...currentLayers, ...nextLayers].forEach(el => {
+                el.classList.remove('slide-in-right', 'slide-in-left', 'slide-out-left', 'slide-out-right');
+            });
 
-            // Stop Rendering if we left the Button exhibit
-            if (currentId === 2 && window.rubberButton) {
-                window.rubberButton.setActive(false);
-            }
+            // Stop whatever we left behind
+            this.registry.call(currentIndex, 'deactivate');
 
             // Cleanup listeners
             if (currentEl) currentEl.removeEventListener('animationend', onEnd);
             if (nextEl) nextEl.removeEventListener('animationend', onEnd);
+
+            // Catch up with Back/Forward presses made during the slide
+            if (this.pendingIndex !== -1) {
+                const pending = this.pendingIndex;
+                this.pendingIndex = -1;
+                this.switchExhibit(pending, undefined, { updateHistory: false });
+            }
         };
 
         // Attach listener
@@ -128,16 +250,33 @@ export class GalleryNav {
         }
 
         // 6. UPDATE STATE
-        this.currentExhibit = id;
-        window.dispatchEvent(new CustomEvent('exhibit-changed', { detail: { id } }));
-
-        // Update Arrows
-        if (id === 1) {
-            if (this.nextBtn) this.nextBtn.style.display = 'block';
-            if (this.prevBtn) this.prevBtn.style.display = 'none';
-        } else if (id === 2) {
-            if (this.nextBtn) this.nextBtn.style.display = 'none';
-            if (this.prevBtn) this.prevBtn.style.display = 'block';
+        this.currentIndex = index;
+        if (updateHistory) {
+            history.pushState({ exhibit: target.slug }, '', `#${encodeURIComponent(target.slug)}`);
+        }
+        this.dispatchChange();
+
+        this.updateArrows();
+    }
+
+    getLayers(exhibit) {
+        if (!exhibit) return [];
+        return exhibit.layers
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+    }
+
+    updateArrows() {
+        const prev = this.neighbour(-1);
+        const next = this.neighbour(1);
+
+        if (this.prevBtn) {
+            this.prevBtn.style.display = prev === -1 ? 'none' : 'block';
+            if (prev !== -1) this.prevBtn.title = `Previous: ${this.registry.get(prev).title}`;
+        }
+        if (this.nextBtn) {
+            this.nextBtn.style.display = next === -1 ? 'none' : 'block';
+            if (next !== -1) this.nextBtn.title = `Next: ${this.registry.get(next).title}`;
         }
     }
 }
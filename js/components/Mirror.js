@@ -1,26 +1,79 @@
 import { APP_CONFIG } from '../config.js';
 import { audioManager } from '../utils/AudioManager.js';
+import { loadMelody, resolveMelodyId } from '../utils/MelodyLibrary.js';
+import { ParticlePool } from '../utils/ParticlePool.js';
+import { scoreMood } from '../utils/Sentiment.js';
+import { splitGraphemes } from '../utils/Graphemes.js';
+import { rng } from '../utils/Random.js';
+import { KeepsakeRecorder, offerDownload } from '../utils/KeepsakeRecorder.js';
+import { faceFromLayout, integrateTear, stretchStrand } from '../physics/TearPhysics.js';
+import { Exhibit } from './Exhibit.js';
+import { ShadowEyes } from './ShadowEyes.js';
+
+const RELEASE = '\n'; // Queued by Enter (the single-line input never contains one)
+
+/**
+ * Every pooled particle carries the full field set (single tears and strands alike)
+ * so recycled objects keep one shape.
+ */
+function blankTear() {
+    return {
+        char: '', chars: null,
+        x: 0, y: 0,
+        prevX: 0, prevY: 0, prevAngle: 0, // Last step (render interpolation)
+        originX: 0,
+        vx: 0, vy: 0,
+        life: 0,
+        age: 0,        // Steps since release (gates merging on the face)
+        angle: 0,
+        mass: 1,       // Grows as tears merge
+        color: '#FFFFFF', size: 24, fall: 1, // Mood styling (APP_CONFIG.EMOTION)
+        onFace: false,
+        startY: 0, stretch: 0, prevStretch: 0 // Strands only
+    };
+}
 
-export class Mirror {
+export class Mirror extends Exhibit {
     constructor() {
+        super();
         this.canvas = document.getElementById('shadowCanvas');
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
         this.input = document.getElementById('tearInput');
         this.ghostContainer = document.getElementById('ghostContainer');
         this.placeholder = document.getElementById('ghostPlaceholder');
+        this.keepsakeButton = document.getElementById('keepsakeButton');
+        this.random = rng.stream('mirror');
 
         this.img = null;
         this.cursor = null; // Custom Cursor EL
-        this.particles = [];
+        this.dialog = document.querySelector('.dialog-box');
+        this.particles = new ParticlePool(APP_CONFIG.TEARS.POOL_SIZE, blankTear);
+        this.strandBuffer = ''; // Text held back in word/sentence tear modes
+        this.inputQueue = [];   // Graphemes waiting to become tears (see drainInput)
+        this.spawnCredit = 1;
+        this.recentText = '';   // Scored for mood (APP_CONFIG.EMOTION.WINDOW chars)
+        this.mood = APP_CONFIG.EMOTION.NEUTRAL;
+        this.eyes = new ShadowEyes(rng.stream('eyes'));
+        this.keepsake = null; // Recording in progress (see startKeepsake)
         this.layout = { x: 0, y: 0, w: 0, h: 0, s: 1 };
+        this.view = { x: 0, y: 0, w: 0, h: 0 }; // Canvas CSS px
+
+        // Tears collect along the top edge of the dialog box (height-field, px per column)
+        const columns = APP_CONFIG.TEARS.PUDDLE_COLUMNS;
+        this.puddle = {
+            x: 0, y: 0, w: 0,
+            levels: new Float32Array(columns),
+            scratch: new Float32Array(columns),
+            isWet: false
+        };
 
         // Glitch/Shake State
         this.shake = { x: 0, y: 0, intensity: 1.5 };
-
-        this.init();
     }
 
-    async init() {
+    async mount() {
+        super.mount();
+
         // Init Custom Cursor (UI First)
         if (this.ghostContainer) {
             this.cursor = document.createElement('span');
@@ -28,8 +81,8 @@ export class Mirror {
             this.ghostContainer.appendChild(this.cursor);
         }
 
-        // Ensure Audio starts fresh (Index 0)
-        audioManager.resetMelody();
+        // Keystroke melody (starts fresh at Index 0)
+        this.selectMelody();
 
         this.bind();
 
@@ -40,9 +93,9 @@ export class Mirror {
             // Load the pre-processed silhouette
             this.img = await this.loadImage(APP_CONFIG.IMAGE_URL);
 
-            // Render immediately
+            // Layout for the loaded image (the loop draws it once active)
             this.resize();
-            this.startLoop();
+            if (this.isActive) this.draw();
 
             if (this.input) this.input.value = "";
 
@@ -52,6 +105,19 @@ export class Mirror {
         }
     }
 
+    /**
+     * Loads a bundled melody into the keystroke sequencer.
+     * @param {string} [id] - Melody id or 'random'. Defaults to APP_CONFIG.MELODY.PIECE.
+     */
+    async selectMelody(id = APP_CONFIG.MELODY.PIECE) {
+        const melodyId = resolveMelodyId(id);
+        try {
+            audioManager.setMelody(await loadMelody(melodyId));
+        } catch (err) {
+            console.warn(`Mirror: melody "${melodyId}" unavailable`, err);
+        }
+    }
+
     loadImage(src) {
         return new Promise((resolve, reject) => {
             const img = new Image();
@@ -68,24 +134,35 @@ export class Mirror {
 
         // RESIZE OBSERVER: Actively watch frame size changes (Robust Scaling)
         const frame = document.querySelector('.art-frame');
-        if (frame) {
-            this.resizeObserver = new ResizeObserver(() => {
-                this.resize();
-                // Force immediate draw to prevent "lag" visual
-                if (this.img) this.draw();
-            });
-            this.resizeObserver.observe(frame);
-        }
+        this.observeResize(frame, () => {
+            this.resize();
+            // Force immediate draw to prevent "lag" visual
+            if (this.img && this.isActive) this.draw();
+        });
+
+        // Window resizes are forwarded by GalleryNav via the exhibit's resize hook
+        this.listen(window, 'config-changed', (e) => this.onConfigChanged(e.detail));
 
-        // Standard Resize Listener (Backup)
-        window.addEventListener('resize', () => this.resize());
+        // GAZE: The figure's pupils follow the pointer around the page
+        this.listen(window, 'pointermove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.eyes.lookAt({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+        });
+        this.listen(document.documentElement, 'pointerleave', () => this.eyes.lookAt(null));
+
+        // KEEPSAKE: Record the secret's fall (click again to stop early)
+        this.listen(this.keepsakeButton, 'click', () => {
+            if (this.keepsake) this.finishKeepsake();
+            else this.startKeepsake();
+            if (this.input) this.input.focus();
+        });
 
         // --- TEXT INPUT HANDLING ---
         if (this.input) {
             // 0. Robust Mobile Scroll Logic (VisualViewport API)
             // Monitors when the keyboard actually shrinks the screen
             if (window.visualViewport) {
-                window.visualViewport.addEventListener('resize', () => {
+                this.listen(window.visualViewport, 'resize', () => {
                     // If we are focused and height is small (keyboard likely open), scroll to center
                     if (document.activeElement === this.input) {
                         // Small delay to let CSS layout (max-height) stabilize
@@ -97,14 +174,14 @@ export class Mirror {
             }
 
             // Fallback for older browsers or initial focus
-            this.input.addEventListener('focus', () => {
+            this.listen(this.input, 'focus', () => {
                 setTimeout(() => {
                     this.input.scrollIntoView({ behavior: 'smooth', block: 'center' });
                 }, 500); // Increased delay for first-time safety
             });
 
             // 0b. Reset Layout on Keyboard Dismiss (Blur)
-            this.input.addEventListener('blur', () => {
+            this.listen(this.input, 'blur', () => {
                 // If keyboard is gone (viewport large), reset scroll to top
                 setTimeout(() => {
                     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -113,70 +190,230 @@ export class Mirror {
 
             // Force focus on click of the dialog box itself (UX)
             const dialog = document.querySelector('.dialog-box');
-            if (dialog) {
-                dialog.addEventListener('click', () => this.input.focus());
-            }
-
-            // --- NAVIGATION AUTO-FOCUS & RESIZE FORCE ---
-            // Ensure layout and inputs are ready immediately upon transition
-            window.addEventListener('exhibit-changed', (e) => {
-                if (e.detail.id === 1) {
-                    // Force resize immediately to catch dimension changes while hidden
-                    // Use timeout to ensure DOM 'display: block' has applied and layout is measurable
-                    setTimeout(() => {
-                        this.resize();
-                        if (this.input) this.input.focus();
-                    }, 0);
-                }
-            });
+            this.listen(dialog, 'click', () => this.input.focus());
 
             // --- INPUT HANDLING ---
             // Use bound method for clarity and potential removability
-            this.input.addEventListener('input', (e) => this.handleInput(e));
+            this.listen(this.input, 'input', (e) => this.handleInput(e));
+
+            // IME: Committed text (CJK, dead keys, mobile predictions) arrives here once
+            this.listen(this.input, 'compositionend', (e) => {
+                this.enqueueInput(e.data);
+                this.clearInput();
+            });
+
+            // ENTER: Let go of everything typed so far (no 'input' event for Enter)
+            this.listen(this.input, 'keydown', (e) => {
+                if (e.key !== 'Enter' || e.isComposing) return;
+                e.preventDefault();
+                this.inputQueue.push(RELEASE); // After anything still queued
+            });
         }
     }
 
+    activate() {
+        super.activate();
+
+        // Force resize immediately to catch dimension changes while hidden
+        // Use timeout to ensure DOM 'display: block' has applied and layout is measurable
+        setTimeout(() => {
+            this.resize();
+            if (this.input) this.input.focus();
+        }, 0);
+    }
+
+    deactivate() {
+        super.deactivate();
+        if (this.keepsake) this.finishKeepsake(); // The loop (and so the recording) stops here
+    }
+
+    destroy() {
+        super.destroy();
+        if (this.cursor && this.cursor.parentNode) this.cursor.parentNode.removeChild(this.cursor);
+        this.particles.clear();
+        this.puddle.levels.fill(0);
+        this.puddle.isWet = false;
+        this.recentText = '';
+        this.inputQueue = [];
+        this.setMood(APP_CONFIG.EMOTION.NEUTRAL);
+    }
+
     /**
-     * Handles text input events with filtering for IME and rapid-fire glitches.
-     * Ensures strict 1-to-1 mapping between user strokes and melody notes.
+     * Handles text input events. Every grapheme typed or pasted is queued and
+     * becomes exactly one tear (and one melody note); see drainInput.
      */
     handleInput(e) {
-        // 1. FILTER: Ignore IME Composition events (e.g. Mobile/CJK unfinished inputs)
-        // This is the #1 cause of "double notes" (CompositionUpdate + Input)
-        if (e.isComposing) return;
+        // 1. FILTER: IME composition in progress (or its commit, handled on 'compositionend').
+        // Clearing the field mid-composition would cancel it, so leave it alone.
+        if (e.isComposing || e.inputType === 'insertCompositionText' || e.inputType === 'insertFromComposition') return;
 
         // 2. FILTER: Ignore Deletions (Backspace shouldn't advance melody)
         if (e.inputType && e.inputType.includes('delete')) return;
 
-        // 3. THROTTLE: Safety net for hardware bounce / rapid-fire anomalies
-        const now = Date.now();
-        if (this.lastInputTime && (now - this.lastInputTime < 50)) {
+        // 3. PROCESS CONTENT
+        // e.data is null for pastes/drops: the field only ever holds the new text (it is cleared below)
+        this.enqueueInput(e.data || this.input.value);
+
+        // 4. CLEANUP: Clear input to keep "Ghost Typing" illusion
+        this.clearInput();
+    }
+
+    enqueueInput(text) {
+        splitGraphemes(text).forEach(grapheme => this.inputQueue.push(grapheme));
+    }
+
+    clearInput() {
+        // We delay slightly to strictly respect the browser's event loop
+        setTimeout(() => {
+            if (this.input) this.input.value = "";
+        }, 0);
+    }
+
+    /**
+     * Rate-limited spawner: releases queued graphemes at TEARS.SPAWN_RATE per second.
+     * Nothing is dropped; a long paste simply weeps for a while. A lone keystroke
+     * after a pause goes out on the next step.
+     * @param {number} dt - Seconds.
+     */
+    drainInput(dt) {
+        if (this.inputQueue.length === 0) {
+            this.spawnCredit = 1;
+            return;
+        }
+
+        this.spawnCredit += dt * APP_CONFIG.TEARS.SPAWN_RATE;
+        while (this.spawnCredit >= 1 && this.inputQueue.length > 0) {
+            this.spawnCredit -= 1;
+            this.emitGrapheme(this.inputQueue.shift());
+        }
+    }
+
+    /**
+     * One grapheme becomes one tear (or joins a strand), one ghost letter and one note.
+     */
+    emitGrapheme(char) {
+        if (char === RELEASE) {
+            this.releaseStrand(true);
             return;
         }
-        this.lastInputTime = now;
 
-        // 4. PROCESS CONTENT
-        // Use e.data for inserted text, fallback to value slice for robustness
-        const char = e.data || this.input.value.slice(-1);
+        this.readMood(char);
+        if (APP_CONFIG.TEARS.MODE === 'letter') this.spawnTear(char);
+        else this.bufferStrand(char);
+        this.spawnGhost(char);
+        this.eyes.noteInput(1, this.caretPoint());
 
-        if (char) {
-            this.spawnTear(char);
-            this.spawnGhost(char);
+        // Play Logic: One Note per Valid Character
+        audioManager.playNextNote();
 
-            // Play Logic: One Note per Valid Character
-            audioManager.playNextNote();
+        // Hide placeholder
+        if (this.placeholder) {
+            this.placeholder.classList.add('placeholder-hidden');
+        }
+    }
 
-            // Hide placeholder
-            if (this.placeholder) {
-                this.placeholder.classList.add('placeholder-hidden');
-            }
+    /**
+     * Starts recording the canvas (and the melody). Recording runs for the lifetime of
+     * the current tears: if none are falling yet, it waits for the secret to be typed.
+     */
+    startKeepsake() {
+        if (this.keepsake || !this.canvas.width) return;
+
+        const audio = audioManager.createCaptureStream();
+        try {
+            const recorder = new KeepsakeRecorder(this.canvas, { audio: audio && audio.stream });
+            recorder.start();
+            this.keepsake = { recorder, audio, startedAt: performance.now(), sawTears: this.particles.count > 0 };
+        } catch (err) {
+            console.warn('Mirror: keepsake recording unavailable', err);
+            audioManager.releaseCaptureStream(audio);
+            return;
         }
 
-        // 5. CLEANUP: Clear input to keep "Ghost Typing" illusion
-        // We delay slightly to strictly respect the browser's event loop
-        setTimeout(() => {
-            if (this.input) this.input.value = "";
-        }, 0);
+        this.renderKeepsakeButton();
+    }
+
+    /**
+     * Called after each draw: feeds the recorder and ends it once the tears are gone.
+     */
+    updateKeepsake(now) {
+        const keepsake = this.keepsake;
+        if (!keepsake) return;
+
+        keepsake.recorder.captureFrame(now);
+        if (this.particles.count > 0) keepsake.sawTears = true;
+
+        const isOver = keepsake.sawTears && this.particles.count === 0;
+        const isTooLong = now - keepsake.startedAt > APP_CONFIG.KEEPSAKE.MAX_SECONDS * 1000;
+        if (isOver || isTooLong) this.finishKeepsake();
+    }
+
+    async finishKeepsake() {
+        const { recorder, audio } = this.keepsake;
+        this.keepsake = null;
+        this.renderKeepsakeButton();
+
+        try {
+            const { blob, extension } = await recorder.stop();
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            offerDownload(blob, `secret-${stamp}.${extension}`);
+        } catch (err) {
+            console.warn('Mirror: keepsake could not be saved', err);
+        } finally {
+            audioManager.releaseCaptureStream(audio);
+        }
+    }
+
+    renderKeepsakeButton() {
+        if (!this.keepsakeButton) return;
+        const isRecording = Boolean(this.keepsake);
+        this.keepsakeButton.classList.toggle('is-recording', isRecording);
+        this.keepsakeButton.setAttribute('aria-pressed', String(isRecording));
+        this.keepsakeButton.textContent = isRecording ? 'Recording… (stop)' : 'Keep this moment';
+    }
+
+    /**
+     * Where the ghost cursor sits, in canvas px (null if it is not on screen).
+     */
+    caretPoint() {
+        if (!this.cursor) return null;
+        const caret = this.cursor.getBoundingClientRect();
+        if (!caret.width && !caret.height) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: caret.left - rect.left, y: caret.top + caret.height / 2 - rect.top };
+    }
+
+    /**
+     * Re-scores the recent text so the next tears (and notes) carry its mood.
+     */
+    readMood(text) {
+        const { WINDOW } = APP_CONFIG.EMOTION;
+        this.recentText = (this.recentText + text).slice(-WINDOW);
+        this.setMood(scoreMood(this.recentText, APP_CONFIG.EMOTION).mood);
+    }
+
+    setMood(mood) {
+        if (mood === this.mood) return;
+        this.mood = mood;
+        this.applyMood();
+    }
+
+    /**
+     * Pushes the current mood's melody settings to the sequencer.
+     */
+    applyMood() {
+        const { MODE, TEMPO, ECHO_SEND } = APP_CONFIG.EMOTION.MOODS[this.mood];
+        audioManager.setMood({ mode: MODE, tempo: TEMPO, echoSend: ECHO_SEND });
+    }
+
+    /**
+     * Live tuning (setConfig): everything else is read from APP_CONFIG each step.
+     * @param {{ path: string }} change
+     */
+    onConfigChanged({ path }) {
+        if (path.startsWith('EMOTION.MOODS.')) this.applyMood();
+        else if (path === 'MELODY.PIECE') this.selectMelody();
     }
 
     spawnGhost(char) {
@@ -225,6 +462,8 @@ export class Mirror {
         // If we increase canvas size, we must scale our drawing logic OR the context.
         this.ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset
         this.ctx.scale(dpr, dpr);
+        this.view.w = rect.width;
+        this.view.h = rect.height;
 
         if (!this.img) return;
 
@@ -254,71 +493,257 @@ export class Mirror {
             // Hidden (Display None): Remove inline style so CSS fallback takes over (Responsive)
             document.documentElement.style.removeProperty('--current-frame-width');
         }
+
+        // Puddle surface: top edge of the dialog box, in canvas CSS pixels
+        if (this.dialog) {
+            const box = this.dialog.getBoundingClientRect();
+            if (box.width > 0) {
+                this.puddle.x = box.left - rect.left;
+                this.puddle.y = box.top - rect.top;
+                this.puddle.w = box.width;
+            }
+        }
+    }
+
+    /**
+     * Word/Sentence modes: hold text until a break, then release it as one strand.
+     * Word mode breaks on whitespace; sentence mode on . ! ? (Enter breaks in both).
+     */
+    bufferStrand(text) {
+        const breaks = APP_CONFIG.TEARS.MODE === 'sentence' ? /[.!?]/ : /\s/;
+
+        for (const char of splitGraphemes(text)) {
+            this.strandBuffer += char;
+            if (breaks.test(char)) this.releaseStrand(false);
+        }
     }
 
-    spawnTear(char) {
+    /**
+     * @param {boolean} isRelease - Enter pressed: play the release sound.
+     */
+    releaseStrand(isRelease) {
+        const text = this.strandBuffer.trim();
+        this.strandBuffer = '';
+        if (!text) return;
+
+        if (isRelease) audioManager.playRelease();
+        if (splitGraphemes(text).length === 1) this.spawnTear(text);
+        else this.spawnStrand(text);
+    }
+
+    /**
+     * Picks a random eye and returns the tear spawn point below it.
+     */
+    pickEye() {
         const { LEFT, RIGHT } = APP_CONFIG.EYES;
-        const isLeft = Math.random() > 0.5;
+        const isLeft = this.random.next() > 0.5;
         const target = isLeft ? LEFT : RIGHT;
 
-        const x = this.layout.x + (target.x * this.layout.w);
-        const y = this.layout.y + (target.y * this.layout.h) + 10;
+        return {
+            x: this.layout.x + (target.x * this.layout.w),
+            y: this.layout.y + (target.y * this.layout.h) + 10
+        };
+    }
+
+    /**
+     * A whole word/sentence as one linked strand. The last letter leads (so the
+     * strand reads top to bottom); the rest trail behind, stretching as it falls.
+     */
+    spawnStrand(text) {
+        const { x, y } = this.pickEye();
+        const p = this.acquireTear(x, y);
+
+        p.chars = splitGraphemes(text);
+        p.startY = y;
+        p.angle = 0;
+        p.onFace = true;
+    }
 
-        this.particles.push({
-            char, x, y,
-            originX: x,
-            vx: 0, vy: 0,
-            life: 1.0,
-            angle: (Math.random() - 0.5) * 0.2,
-            onFace: true
+    /**
+     * Snaps a strand at the chin: every letter continues as its own tear,
+     * lower letters falling away first.
+     */
+    breakStrand(strand) {
+        // Copy out first: the strand's pool slot may be handed back to us below
+        const { chars, x, y: headY, stretch, originX, vy, life, color, size, fall } = strand;
+        const n = chars.length;
+
+        chars.forEach((char, i) => {
+            const p = this.acquireTear(x, headY - (n - 1 - i) * stretch);
+            p.char = char;
+            p.originX = originX;
+            p.vy = vy * (0.4 + 0.6 * (i + 1) / n);
+            p.life = life;
+            p.color = color; p.size = size; p.fall = fall;
         });
+    }
+
+    spawnTear(char, origin = this.pickEye()) {
+        const p = this.acquireTear(origin.x, origin.y);
+        p.char = char;
+        p.onFace = true;
 
         // Audio already played in handleInput
     }
 
+    /**
+     * Claims a pooled particle and resets it to a fresh single tear at (x, y), off the face,
+     * styled by the current mood.
+     */
+    acquireTear(x, y) {
+        const p = this.particles.acquire();
+        const style = APP_CONFIG.EMOTION.MOODS[this.mood];
+
+        p.char = ''; p.chars = null;
+        p.x = x; p.y = y;
+        p.prevX = x; p.prevY = y; p.prevAngle = 0;
+        p.originX = x;
+        p.vx = 0; p.vy = 0;
+        p.life = 1.0;
+        p.age = 0;
+        p.angle = (this.random.next() - 0.5) * 0.2;
+        p.mass = 1;
+        p.color = style.COLOR; p.size = style.SIZE; p.fall = style.FALL;
+        p.onFace = false;
+        p.startY = y; p.stretch = 0; p.prevStretch = 0;
+        return p;
+    }
+
+    /**
+     * Tear physics for one fixed step (see SimulationClock).
+     */
     update() {
-        // ROBUST RESIZE POLLING:
-        // Check if CSS has changed the canvas size significantly
-        // This guarantees layout sync even if events/observers miss
-        if (this.canvas && this.canvas.clientWidth) {
-            if (this.canvas.clientWidth !== this.lastClientWidth || this.canvas.clientHeight !== this.lastClientHeight) {
-                this.resize();
+        // Update Tears
+        const face = faceFromLayout(this.layout);
+        const pool = this.particles;
+
+        // Backwards: release() swaps the last live tear into the freed slot
+        for (let i = pool.count - 1; i >= 0; i--) {
+            const p = pool.items[i];
+            p.age++;
+
+            if (p.chars) {
+                // STRAND: Stretches with distance fallen, snaps into letters at the chin
+                stretchStrand(p);
+                if (p.y > face.chinY) {
+                    pool.release(i);
+                    this.breakStrand(p);
+                    continue;
+                }
             }
-        }
 
-        // Update Tears
-        const chinY = this.layout.y + (APP_CONFIG.PHYSICS.BOUNDARY_Y * this.layout.h);
+            integrateTear(p, face);
 
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const p = this.particles[i];
+            if (p.life <= 0 || p.y > this.canvas.height || this.absorbIntoPuddle(p)) {
+                pool.release(i);
+            }
+        }
 
-            if (p.onFace) {
-                if (p.y > chinY) {
-                    p.onFace = false; // Fell off chin
-                } else {
-                    if (p.vy < 2.0) p.vy += APP_CONFIG.PHYSICS.GRAVITY.Face;
+        this.mergeTears();
+        this.updatePuddle();
+    }
 
-                    const distY = p.y - this.layout.y;
-                    const wobble = Math.sin(distY * APP_CONFIG.PHYSICS.WOBBLE.Speed) * APP_CONFIG.PHYSICS.WOBBLE.Amp;
-                    const dir = p.originX < (this.layout.x + this.layout.w / 2) ? -1 : 1;
-                    p.x = p.originX + (wobble * dir);
+    /**
+     * Touching tears combine into one heavier drop (momentum conserved).
+     * The heavier drop survives and keeps its letter. Tears from the same eye
+     * spawn on top of each other, so they only merge once they have left the
+     * face or run down it for MERGE_MIN_AGE steps (fast typing stays legible).
+     */
+    mergeTears() {
+        const { MERGE_RADIUS, MERGE_MAX_MASS, MERGE_MIN_AGE } = APP_CONFIG.TEARS;
+        const pool = this.particles;
+        const canMerge = p => !p.chars && (!p.onFace || p.age >= MERGE_MIN_AGE);
+
+        for (let i = pool.count - 1; i >= 0; i--) {
+            const a = pool.items[i];
+            if (!canMerge(a)) continue;
+
+            for (let j = i - 1; j >= 0; j--) {
+                const b = pool.items[j];
+                if (!canMerge(b) || a.mass + b.mass > MERGE_MAX_MASS) continue;
+
+                const reach = MERGE_RADIUS * (Math.sqrt(a.mass) + Math.sqrt(b.mass));
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                if (dx * dx + dy * dy > reach * reach) continue;
+
+                // Fold the lighter drop (a or b) into the heavier one, then free a's slot
+                const [keep, lost] = a.mass > b.mass ? [a, b] : [b, a];
+                const mass = keep.mass + lost.mass;
+
+                keep.vx = (keep.vx * keep.mass + lost.vx * lost.mass) / mass;
+                keep.vy = (keep.vy * keep.mass + lost.vy * lost.mass) / mass;
+                keep.x = (keep.x * keep.mass + lost.x * lost.mass) / mass;
+                keep.y = (keep.y * keep.mass + lost.y * lost.mass) / mass;
+                keep.life = Math.max(keep.life, lost.life);
+                keep.onFace = keep.onFace && lost.onFace;
+                keep.mass = mass;
+
+                if (keep === a) {
+                    // Survivor takes slot j so slot i can be freed
+                    pool.items[j] = a;
+                    pool.items[i] = b;
                 }
-            } else {
-                p.vy += APP_CONFIG.PHYSICS.GRAVITY.Air;
-                p.x += Math.sin(p.y * 0.02) * 0.5;
+                pool.release(i);
+                break;
             }
+        }
+    }
 
-            p.y += p.vy;
-            p.life -= 0.003;
-            p.angle += 0.01;
+    /**
+     * Falling tears that reach the dialog box add to the puddle on its top edge.
+     * @returns {boolean} True if the tear was absorbed.
+     */
+    absorbIntoPuddle(p) {
+        const puddle = this.puddle;
+        if (p.onFace || p.chars || puddle.w <= 0) return false;
+
+        const columns = puddle.levels.length;
+        const column = Math.floor(((p.x - puddle.x) / puddle.w) * columns);
+        if (column < 0 || column >= columns) return false;
+        if (p.y < puddle.y - puddle.levels[column]) return false;
+
+        // Splash over neighbouring columns (1 : 4 : 6 : 4 : 1)
+        const volume = APP_CONFIG.TEARS.PUDDLE_VOLUME * p.mass * p.life;
+        const spread = [1, 4, 6, 4, 1];
+        spread.forEach((weight, k) => {
+            const c = column + k - 2;
+            if (c >= 0 && c < columns) puddle.levels[c] += volume * weight / 16;
+        });
+        puddle.isWet = true;
+        return true;
+    }
 
-            if (p.life <= 0 || p.y > this.canvas.height) {
-                this.particles.splice(i, 1);
-            }
+    /**
+     * Levels the puddle out and lets it evaporate.
+     */
+    updatePuddle() {
+        const puddle = this.puddle;
+        if (!puddle.isWet) return;
+
+        const { PUDDLE_SPREAD, PUDDLE_EVAPORATION, PUDDLE_MAX_HEIGHT } = APP_CONFIG.TEARS;
+        const { levels, scratch } = puddle;
+        const last = levels.length - 1;
+        let isWet = false;
+
+        for (let i = 0; i <= last; i++) {
+            const left = levels[Math.max(0, i - 1)];
+            const right = levels[Math.min(last, i + 1)];
+            const level = levels[i] + PUDDLE_SPREAD * ((left + right) / 2 - levels[i]);
+
+            scratch[i] = Math.min(PUDDLE_MAX_HEIGHT, Math.max(0, level - PUDDLE_EVAPORATION));
+            if (scratch[i] > 0) isWet = true;
         }
+
+        puddle.levels = scratch;
+        puddle.scratch = levels;
+        puddle.isWet = isWet;
     }
 
-    draw() {
+    /**
+     * @param {number} [alpha=1] - Blend between previous and current step.
+     */
+    draw(alpha = 1) {
         if (!this.ctx) return;
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
@@ -349,42 +774,110 @@ export class Mirror {
         }
 
         // Draw Tears
-        this.ctx.font = '24px "Courier New"';
-        this.ctx.fillStyle = '#FFFFFF';
         this.particles.forEach(p => {
             this.ctx.save();
             this.ctx.globalAlpha = p.life;
-            this.ctx.translate(p.x, p.y);
-            this.ctx.rotate(p.angle);
-            this.ctx.fillText(p.char, 0, 0);
+            this.ctx.font = `${Math.round(p.size * Math.sqrt(p.mass))}px "Courier New"`;
+            this.ctx.fillStyle = p.color;
+            this.ctx.translate(p.prevX + (p.x - p.prevX) * alpha, p.prevY + (p.y - p.prevY) * alpha);
+            this.ctx.rotate(p.prevAngle + (p.angle - p.prevAngle) * alpha);
+            if (p.chars) this.drawStrand(p, p.prevStretch + (p.stretch - p.prevStretch) * alpha);
+            else this.ctx.fillText(p.char, 0, 0);
             this.ctx.restore(); // Close Eye Context (if any left open, but drawEye handles itself)
         });
 
+        this.drawPuddle();
+
         // Restore Main Clipping Context
         this.ctx.restore();
     }
 
+    /**
+     * Letters stacked upward from the (already translated) head, joined by a thin liquid thread.
+     */
+    drawStrand(strand, stretch) {
+        const n = strand.chars.length;
+        const tail = -(n - 1) * stretch;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(6, tail - 8);
+        this.ctx.lineTo(6, -8);
+        this.ctx.stroke();
+        this.ctx.restore();
+
+        strand.chars.forEach((char, i) => {
+            this.ctx.fillText(char, 0, -(n - 1 - i) * stretch);
+        });
+    }
+
+    /**
+     * Puddle on top of the dialog box, traced through the column heights.
+     */
+    drawPuddle() {
+        const { x, y, w, levels, isWet } = this.puddle;
+        if (!isWet) return;
+
+        const columnWidth = w / levels.length;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255,255,255,0.55)';
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y);
+        levels.forEach((level, i) => {
+            this.ctx.lineTo(x + (i + 0.5) * columnWidth, y - level);
+        });
+        this.ctx.lineTo(x + w, y);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
+    /**
+     * One eye, opened/squinted and looking where ShadowEyes says.
+     */
     drawEye(rx, ry) {
         const x = this.layout.x + (rx * this.layout.w);
         const y = this.layout.y + (ry * this.layout.h);
         const w = this.layout.w * APP_CONFIG.EYES.WIDTH;
         const h = this.layout.h * APP_CONFIG.EYES.HEIGHT;
+        const openH = h * this.eyes.openness;
+        if (openH < 0.5) return; // Shut (mid-blink)
+
+        const pupil = this.eyes.pupilOffset(x, y, w, h);
 
         this.ctx.save();
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.shadowBlur = 8; this.ctx.shadowColor = 'rgba(255,255,255,0.6)';
-        this.ctx.beginPath(); this.ctx.ellipse(x, y, w / 2, h / 2, 0, 0, Math.PI * 2); this.ctx.fill();
+        this.ctx.beginPath(); this.ctx.ellipse(x, y, w / 2, openH / 2, 0, 0, Math.PI * 2); this.ctx.fill();
+        this.ctx.clip(); // Pupil stays inside the lids
         this.ctx.fillStyle = '#000000'; this.ctx.shadowBlur = 0;
-        this.ctx.beginPath(); this.ctx.arc(x, y, 2, 0, Math.PI * 2); this.ctx.fill();
+        this.ctx.beginPath(); this.ctx.arc(x + pupil.x, y + pupil.y, APP_CONFIG.FIGURE.PUPIL_RADIUS, 0, Math.PI * 2); this.ctx.fill();
         this.ctx.restore();
     }
 
-    startLoop() {
-        const loop = () => {
-            this.update();
-            this.draw();
-            requestAnimationFrame(loop);
-        };
-        loop();
+    /**
+     * @param {number} dt - Fixed step (seconds).
+     */
+    step(dt) {
+        this.drainInput(dt);
+        this.update();
+        this.eyes.step(dt, this.particles.count, this.view);
+    }
+
+    render(alpha) {
+        // ROBUST RESIZE POLLING:
+        // Check if CSS has changed the canvas size significantly
+        // This guarantees layout sync even if events/observers miss
+        if (this.canvas && this.canvas.clientWidth) {
+            if (this.canvas.clientWidth !== this.lastClientWidth || this.canvas.clientHeight !== this.lastClientHeight) {
+                this.resize();
+            }
+        }
+
+        this.draw(alpha);
+        this.updateKeepsake(performance.now());
     }
 }
@@ -0,0 +1,37 @@
+/**
+ * COMPONENT: Override Badge
+ * Small corner note listing the APP_CONFIG values set from the URL
+ * (applyOverrides), so a tweaked link is never mistaken for the default build.
+ * Rejected overrides are listed struck through, with the reason as a tooltip.
+ */
+export class OverrideBadge {
+    /**
+     * @param {{ applied: Array<{ path: string, value: * }>, rejected: Array<{ path: string, text: string, error: string }> }} overrides
+     */
+    constructor({ applied, rejected }) {
+        this.element = null;
+        if (applied.length > 0 || rejected.length > 0) this.render(applied, rejected);
+    }
+
+    render(applied, rejected) {
+        const list = document.createElement('ul');
+        applied.forEach(({ path, value }) => {
+            const item = document.createElement('li');
+            item.textContent = `${path} = ${JSON.stringify(value)}`;
+            list.append(item);
+        });
+        rejected.forEach(({ path, text, error }) => {
+            const item = document.createElement('li');
+            item.className = 'is-rejected';
+            item.textContent = `${path} = ${text}`;
+            item.title = error;
+            list.append(item);
+        });
+
+        this.element = document.createElement('aside');
+        this.element.className = 'override-badge';
+        this.element.setAttribute('aria-label', 'Config overrides from the URL');
+        this.element.append(list);
+        document.body.append(this.element);
+    }
+}
@@ -1,36 +1,46 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three'; // Resolved by the import map in index.html (js/vendor/three)
 import { audioManager } from '../utils/AudioManager.js';
 import { APP_CONFIG } from '../config.js';
+import { rng } from '../utils/Random.js';
+import { readConfig } from '../utils/ConfigStore.js';
+import { calculateWeights, deformDomeGrabs } from '../physics/ButtonPhysics.js';
+import { bindSkin, createDomeBody, nearestNode, settleBody, skinDome, stepBody } from '../physics/SoftBody.js';
+import { stepConfetti } from '../physics/ConfettiPhysics.js';
+import { Exhibit } from './Exhibit.js';
+
+const APEX_INDEX = 0; // SphereGeometry's first row sits on the pole: keyboard stretches grab here
+const KEYBOARD_ID = 'keyboard'; // Grab id of the keyboard stretch (pointers use their pointerId)
+
+// Arrow key -> stretch direction (screen-aligned, world units)
+const ARROWS = {
+    ArrowUp: { x: 0, y: 1 },
+    ArrowDown: { x: 0, y: -1 },
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 }
+};
 
 /**
  * COMPONENT: Sticky Rubber Button (Three.js WebGL)
  * 
  * Features:
- * - Gooey/Sticky Interaction.
- * - Soft-body deformation.
+ * - Gooey/Sticky Interaction (Pointer Events: mouse, pen, multi-touch pinch).
+ * - Soft-body deformation (volume-preserving PBD solver, js/physics/SoftBody.js).
  * - "Alive" States: Heartbeat, Shiver.
  * - Confetti Explosion.
+ * - Keyboard & screen-reader stand-in (#buttonControl, #buttonStatus).
  */
-export class RubberButton {
+export class RubberButton extends Exhibit {
     constructor() {
+        super();
         // Build Trigger: 2025-12-14
         // Build Trigger: 2025-12-14
         // Build Trigger: 2025-12-14
         // Build Trigger: 2025-12-14
         // Build Trigger: 2025-12-14
         this.canvas = document.getElementById('buttonCanvas');
-        if (!this.canvas) return;
-
-        // Configuration
-        this.config = Object.assign({
-            snapLimit: 500.0,
-            softness: 15.0,
-            gravity: 0.15,
-            beatRate: 3000,
-        }, APP_CONFIG.BUTTON);
+        this.random = rng.stream('button');
 
-        // State
-        this.isActive = false; // Start inactive (Exhibit 1 is default)
+        // State (Inactive until GalleryNav activates the exhibit)
         this.state = {
             isDragging: false,
             isReturning: false,
@@ -40,15 +50,20 @@ export class RubberButton {
         };
         this.localTime = 0; // For synced animation
 
-        // Physics Vectors
+        // Accessibility (see bindKeyboard)
+        this.control = document.getElementById('buttonControl');
+        this.status = document.getElementById('buttonStatus');
+        this.keyboard = { isPressing: false };
+        this.reducedMotion = false;
+
+        // Physics: one entry per grab point (see addGrab)
         this.physics = {
-            dragOffset: new THREE.Vector3(),
-            grabPoint: new THREE.Vector3(),
-            localGrabPoint: new THREE.Vector3(),
-            returnVelocity: new THREE.Vector3(),
+            grabs: [],
             pressY: 0,
             targetPressY: 0
         };
+        this.body = null; // Soft-body lattice (see initGeometry)
+        this.isDeformed = false; // Vertex buffer differs from the rest pose
 
         // Systems
         this.scene = null;
@@ -56,19 +71,28 @@ export class RubberButton {
         this.renderer = null;
         this.mesh = null;
         this.particles = []; // For confetti
+    }
 
-        this.init();
+    /**
+     * APP_CONFIG.BUTTON, read live (setConfig swaps in a new tree).
+     */
+    get config() {
+        return APP_CONFIG.BUTTON;
     }
 
-    init() {
+    mount() {
+        if (!this.canvas) return;
+        super.mount();
         this.initScene();
         this.initLighting();
         this.initGeometry();
         this.initConfetti();
         this.initAudio();
         this.bindEvents();
-        this.startLoop();
-        this.setActive(false); // Hide initially
+        this.bindKeyboard();
+        this.bindMotionPreference();
+        this.listen(window, 'config-changed', (e) => this.onConfigChanged(e.detail));
+        this.canvas.style.display = 'none'; // Hide initially
     }
 
     initScene() {
@@ -92,8 +116,6 @@ export class RubberButton {
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-
-        window.addEventListener('resize', () => this.onResize());
     }
 
     initLighting() {
@@ -183,11 +205,17 @@ export class RubberButton {
         this.mesh.add(this.btnOutline);
 
         this.originalPositions = Float32Array.from(domeGeo.attributes.position.array);
-        this.weights = new Float32Array(this.originalPositions.length / 3);
+
+        // SOFT BODY: a coarse lattice runs the physics, the 128x64 mesh is skinned to it
+        this.body = createDomeBody(66);
+        this.skin = bindSkin(this.body, this.originalPositions);
+        this.gripTargets = new Float32Array(this.body.count * 3);
+        this.grip = new Float32Array(this.body.count);
     }
 
     initConfetti() {
-        const count = 3000; // Reduced pool for giant sheets
+        // Single InstancedMesh: one draw call for the whole pool, color per instance
+        const count = APP_CONFIG.CONFETTI.POOL_SIZE;
         this.confettiIndex = 0;
 
         this.confettiGroup = new THREE.Group();
@@ -197,13 +225,36 @@ export class RubberButton {
         const geo = new THREE.PlaneGeometry(8, 4);
         const mat = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide });
 
+        this.confettiMesh = new THREE.InstancedMesh(geo, mat, count);
+        this.confettiMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.confettiMesh.frustumCulled = false; // Instances fly far outside the base geometry's bounds
+        this.confettiGroup.add(this.confettiMesh);
+
+        // Scratch objects for matrix composition (no per-frame allocation)
+        this.confettiScratch = {
+            matrix: new THREE.Matrix4(),
+            position: new THREE.Vector3(),
+            quaternion: new THREE.Quaternion(),
+            euler: new THREE.Euler(),
+            scale: new THREE.Vector3(),
+            color: new THREE.Color()
+        };
+
+        const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
         for (let i = 0; i < count; i++) {
-            const mesh = new THREE.Mesh(geo, mat.clone());
-            mesh.visible = false;
-            this.confettiGroup.add(mesh);
+            this.confettiMesh.setMatrixAt(i, hidden);
+            this.confettiMesh.setColorAt(i, this.confettiScratch.color.set(0xffffff));
 
             this.particles.push({
-                mesh: mesh,
+                index: i,
+                visible: false,
+                // Simulation State (instance matrices are written from these in renderConfetti)
+                pos: new THREE.Vector3(),
+                prevPos: new THREE.Vector3(),
+                rot: new THREE.Vector3(),
+                prevRot: new THREE.Vector3(),
+                scale: 0,
+                prevScale: 0,
                 vel: new THREE.Vector3(),
                 rotVel: new THREE.Vector3(),
                 // Paper Physics State
@@ -214,6 +265,8 @@ export class RubberButton {
                 life: 0
             });
         }
+        this.confettiMesh.instanceMatrix.needsUpdate = true;
+        this.confettiMesh.instanceColor.needsUpdate = true;
     }
 
     initAudio() {
@@ -224,7 +277,9 @@ export class RubberButton {
         if (this.state.isExploded) return;
         this.state.isExploded = true;
         this.state.isDragging = false;
+        this.physics.grabs = [];
         this.mesh.visible = false;
+        this.announce('burst');
 
         this.canvas.style.backgroundColor = 'rgba(255,255,255,0.2)';
         setTimeout(() => this.canvas.style.backgroundColor = '', 150);
@@ -238,79 +293,80 @@ export class RubberButton {
         let center = new THREE.Vector3(0, -60, 0);
 
         // Confetti Burst
-        const C = APP_CONFIG.CONFETTI;
-        const batchSize = C.BATCH_SIZE;
+        const batchSize = Math.round(readConfig('CONFETTI.BATCH_SIZE') * (this.reducedMotion ? this.config.reducedConfetti : 1));
         const total = this.particles.length;
+        const spawnRadius = readConfig('CONFETTI.SPAWN_RADIUS');
+        const power = readConfig('CONFETTI.EXPLOSION_POWER');
+        const velBase = readConfig('CONFETTI.VELOCITY_Y_BASE');
+        const velVar = readConfig('CONFETTI.VELOCITY_Y_VAR');
+        const sMin = readConfig('CONFETTI.SCALE_MIN');
+        const sMax = readConfig('CONFETTI.SCALE_MAX');
 
         for (let i = 0; i < batchSize; i++) {
             const p = this.particles[this.confettiIndex % total];
             this.confettiIndex++;
 
-            p.mesh.visible = true;
+            p.visible = true;
             p.life = 1.0;
 
             // SPAWN: Volumetric Sphere (Globe) - UPPER HEMISPHERE ONLY
-            const spawnRadius = C.SPAWN_RADIUS || 80.0; // Fallback for safety
-            const theta = Math.random() * Math.PI * 2;
+            const theta = this.random.next() * Math.PI * 2;
 
             // Upper Hemisphere: phi from 0 (top) to PI/2 (equator)
-            // Math.random() gives 0..1 => acos gives PI/2..0
-            const phi = Math.acos(Math.random());
+            // random.next() gives 0..1 => acos gives PI/2..0
+            const phi = Math.acos(this.random.next());
 
-            const r = Math.cbrt(Math.random()) * spawnRadius; // Uniform volume
+            const r = Math.cbrt(this.random.next()) * spawnRadius; // Uniform volume
 
             const x = r * Math.sin(phi) * Math.cos(theta);
             const y = r * Math.sin(phi) * Math.sin(theta);
             const z = r * Math.cos(phi);
 
-            p.mesh.position.set(center.x + x, center.y + y, center.z + z);
-            p.mesh.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+            p.pos.set(center.x + x, center.y + y, center.z + z);
+            p.prevPos.copy(p.pos);
+            p.rot.set(this.random.next() * Math.PI, this.random.next() * Math.PI, this.random.next() * Math.PI);
+            p.prevRot.copy(p.rot);
 
             // VELOCITY: Radial Explosion + Upward Bias
-            const power = C.EXPLOSION_POWER || 20.0;
-            const velBase = C.VELOCITY_Y_BASE || 8.0;
-            const velVar = C.VELOCITY_Y_VAR || 10.0;
-
             const dir = new THREE.Vector3(x, y, z).normalize();
             if (dir.lengthSq() === 0) dir.set(0, 1, 0);
 
             // Randomize speed to break "shell" layering
             // range: 0.2x to 1.0x of max power
-            const speed = power * (0.2 + Math.random() * 0.8);
+            const speed = power * (0.2 + this.random.next() * 0.8);
 
             p.vel.copy(dir).multiplyScalar(speed);
-            p.vel.y += velBase + Math.random() * velVar;
+            p.vel.y += velBase + this.random.next() * velVar;
 
             // Init Flutter State
-            p.tiltAngle = Math.random() * Math.PI;
-            p.tiltAngleIncrement = (Math.random() * 0.1) + 0.05;
-            p.wobble = Math.random() * Math.PI * 2;
-            p.wobbleIncrement = (Math.random() * 0.1) + 0.05;
-
-            // Random Colors
-            const rndColor = Math.random();
-            if (rndColor < 0.4) p.mesh.material.color.setHex(0x8a0303);
-            else if (rndColor < 0.6) p.mesh.material.color.setHex(0x111111);
-            else if (rndColor < 0.8) p.mesh.material.color.setHex(0xe3dac9);
-            else p.mesh.material.color.setHex(0x2f4f4f);
-
-            p.life = 2.0 + Math.random() * 1.5;
+            p.tiltAngle = this.random.next() * Math.PI;
+            p.tiltAngleIncrement = (this.random.next() * 0.1) + 0.05;
+            p.wobble = this.random.next() * Math.PI * 2;
+            p.wobbleIncrement = (this.random.next() * 0.1) + 0.05;
+
+            // Random Colors (Per Instance)
+            const rndColor = this.random.next();
+            const color = this.confettiScratch.color;
+            if (rndColor < 0.4) color.setHex(0x8a0303);
+            else if (rndColor < 0.6) color.setHex(0x111111);
+            else if (rndColor < 0.8) color.setHex(0xe3dac9);
+            else color.setHex(0x2f4f4f);
+            this.confettiMesh.setColorAt(p.index, color);
+
+            p.life = 2.0 + this.random.next() * 1.5;
 
             // DEPTH SCALING: Map Z-position to Scale
             // Front (Z+) -> Big, Back (Z-) -> Small
             // Normalize Z (~ -Radius to +Radius) to 0..1
             // Adding a slight offset to ensure even back particles aren't invisible
-            const rMax = C.SPAWN_RADIUS || 80.0;
-            const sMin = C.SCALE_MIN || 0.3;
-            const sMax = C.SCALE_MAX || 2.5;
-
-            const depthNorm = (z + rMax) / (2 * rMax);
+            const depthNorm = (z + spawnRadius) / (2 * spawnRadius);
             const clampedDepth = Math.max(0, Math.min(1, depthNorm));
 
             const baseScale = sMin + clampedDepth * (sMax - sMin);
             p.baseScale = baseScale;
-            p.mesh.scale.set(baseScale, baseScale, baseScale);
+            p.scale = p.prevScale = baseScale;
         }
+        this.confettiMesh.instanceColor.needsUpdate = true;
 
         // REGENERATE FAST
         setTimeout(() => {
@@ -321,9 +377,9 @@ export class RubberButton {
             this.state.regrowthProgress = 0.0;
 
             this.state.regrowthOrigin = {
-                x: (Math.random() - 0.5) * 30,
+                x: (this.random.next() - 0.5) * 30,
                 y: -15,
-                z: (Math.random() - 0.5) * 30
+                z: (this.random.next() - 0.5) * 30
             };
 
             this.resetPhysics();
@@ -336,251 +392,382 @@ export class RubberButton {
 
 
 
+    /**
+     * Confetti physics for one fixed step (see SimulationClock).
+     * Operates on p.pos/p.rot; renderConfetti() writes the meshes.
+     */
     updateConfetti() {
-        // this.updateDrips(); // REMOVED
-
-        const C = APP_CONFIG.CONFETTI;
-        // Reverted to Frame-Based Physics (Exact Match to Main)
-
         // INTERACTIVITY: Cursor Repulsion
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const ray = this.raycaster.ray;
 
         this.particles.forEach((p) => {
-            if (p.life > 0) {
-                // PHASE 1: BALLISTIC (Launch) - Use Velocity
-                // PHASE 2: FLUTTER (Fall) - Use Position Update
-
-                // Dual-Zone Interaction Logic
-                const distSq = ray.distanceSqToPoint(p.mesh.position);
-
-                if (distSq < C.REPULSE_RADIUS_SQ) {
-                    // ZONE 1: REPULSION (The Hole)
-                    const target = new THREE.Vector3();
-                    ray.closestPointToPoint(p.mesh.position, target);
-                    const dir = new THREE.Vector3().subVectors(p.mesh.position, target).normalize();
-                    p.vel.add(dir.multiplyScalar(C.REPULSE_STRENGTH));
-                } else if (distSq < C.ATTRACT_RADIUS_SQ) {
-                    // ZONE 2: ATTRACTION (The Wake)
-                    const target = new THREE.Vector3();
-                    ray.closestPointToPoint(p.mesh.position, target);
-                    const dir = new THREE.Vector3().subVectors(target, p.mesh.position).normalize();
-                    p.vel.add(dir.multiplyScalar(C.ATTRACT_STRENGTH));
-                }
-
-                // Integration (Frame Based)
-                p.mesh.position.add(p.vel);
-
-                // Aerodynamics
-                p.vel.y -= C.GRAVITY;
-                p.vel.multiplyScalar(C.DRAG);
-
-                // Terminal Velocity Cap
-                if (p.vel.y < -C.TERMINAL_VEL) p.vel.y = -C.TERMINAL_VEL;
-
-                // Flutter Physics
-                // As upward velocity decays, flutter takes over
-                p.tiltAngle += p.tiltAngleIncrement;
-                p.wobble += p.wobbleIncrement;
-
-                // Drift X based on Tilt (Simulate planing)
-                const flutterX = Math.sin(p.tiltAngle) * C.FLUTTER_AMP * 0.1;
-                const flutterZ = Math.cos(p.tiltAngle) * C.FLUTTER_AMP * 0.1;
-
-                p.mesh.position.x += flutterX;
-                p.mesh.position.z += flutterZ;
-
-                // Rotation: Couple rotation with flutter phase
-                p.mesh.rotation.z = p.tiltAngle;
-                p.mesh.rotation.x = p.wobble;
-                p.mesh.rotation.z = p.tiltAngle;
-                p.mesh.rotation.x = p.wobble;
-                p.mesh.rotation.z = p.tiltAngle;
-                p.mesh.rotation.x = p.wobble;
-                p.mesh.rotation.y += 0.02;
-
-                // Simple Decay (No grounded logic)
-                p.life -= C.LIFE_DECAY;
-
-                if (p.life <= 0 || p.mesh.position.y < C.DEATH_Y) {
-                    p.mesh.visible = false;
-                    p.life = 0;
-                }
-                const lifeScale = Math.min(1.0, p.life * C.SCALE_FACTOR);
-                const s = (p.baseScale || 0.1) * lifeScale;
-                p.mesh.scale.set(s, s, s);
+            if (p.life <= 0) return;
+            p.prevPos.copy(p.pos);
+            p.prevRot.copy(p.rot);
+            p.prevScale = p.scale;
+            stepConfetti(p, ray);
+        });
+    }
+
+    /**
+     * Writes interpolated confetti state into the instance matrices.
+     * Dead particles are collapsed to a zero-scale matrix once, then skipped.
+     * @param {number} alpha - Blend between previous and current step.
+     */
+    renderConfetti(alpha) {
+        const { matrix, position, quaternion, euler, scale } = this.confettiScratch;
+        let dirty = false;
+
+        this.particles.forEach((p) => {
+            if (p.life <= 0) {
+                if (!p.visible) return;
+                p.visible = false;
+                this.confettiMesh.setMatrixAt(p.index, matrix.makeScale(0, 0, 0));
+                dirty = true;
+                return;
             }
+
+            position.lerpVectors(p.prevPos, p.pos, alpha);
+            euler.set(
+                p.prevRot.x + (p.rot.x - p.prevRot.x) * alpha,
+                p.prevRot.y + (p.rot.y - p.prevRot.y) * alpha,
+                p.prevRot.z + (p.rot.z - p.prevRot.z) * alpha
+            );
+            quaternion.setFromEuler(euler);
+            const s = p.prevScale + (p.scale - p.prevScale) * alpha;
+            scale.set(s, s, s);
+
+            this.confettiMesh.setMatrixAt(p.index, matrix.compose(position, quaternion, scale));
+            dirty = true;
         });
+
+        if (dirty) this.confettiMesh.instanceMatrix.needsUpdate = true;
     }
 
     bindEvents() {
         this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2(); // Initialize this.mouse
-        const getNDC = (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-            const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-            return {
-                x: ((clientX - rect.left) / rect.width) * 2 - 1,
-                y: -((clientY - rect.top) / rect.height) * 2 + 1
-            };
+        this.mouse = new THREE.Vector2(); // Primary pointer (confetti repulsion)
+
+        // Down on the canvas; move/up on window so sticky (uncaptured) mouse grabs follow everywhere
+        this.listen(this.canvas, 'pointerdown', (e) => this.onPointerDown(e));
+        this.listen(window, 'pointermove', (e) => this.onPointerMove(e));
+        this.listen(window, 'pointerup', (e) => this.onPointerUp(e));
+        this.listen(window, 'pointercancel', (e) => this.onPointerUp(e));
+    }
+
+    /**
+     * @returns {{x: number, y: number}} Pointer position in normalized device coordinates.
+     */
+    toNDC(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            y: -((e.clientY - rect.top) / rect.height) * 2 + 1
         };
+    }
+
+    onPointerDown(e) {
+        if (e.cancelable) e.preventDefault(); // No text selection or emulated mouse events
+        if (this.state.isExploded) return;
 
-        const onDown = (e) => {
-            if (e.cancelable) e.preventDefault(); // STOP SCROLLING
-            if (this.state.isExploded) return;
-            const { x, y } = getNDC(e);
-            this.raycaster.setFromCamera({ x, y }, this.camera);
-            const hits = this.raycaster.intersectObject(this.mesh);
-
-            if (hits.length > 0) {
-                this.state.isDragging = true;
-                this.state.isReturning = false;
-                this.physics.returnVelocity.set(0, 0, 0);
-                this.physics.targetPressY = -10.0;
-                const hit = hits[0];
-
-                // GUARD: Ensure face exists to prevent crash
-                if (!hit.face) return;
-
-                // VERTEX ANCHORING: Find closest vertex on the face to lock the grab
-                // This prevents "drift" as the mesh deforms
-                const face = hit.face;
-                const indices = [face.a, face.b, face.c];
-                let minDistSq = Infinity;
-                let closestIndex = -1;
-
-                const posAttr = this.mesh.geometry.attributes.position;
-                const vPos = new THREE.Vector3();
-
-                // We must use CURRENT world positions to match the raycast hit
-                // But we store the INDEX to reference ORIGINAL positions later
-                indices.forEach(idx => {
-                    vPos.fromBufferAttribute(posAttr, idx);
-                    vPos.applyMatrix4(this.mesh.matrixWorld);
-                    const dSq = vPos.distanceToSquared(hit.point);
-                    if (dSq < minDistSq) {
-                        minDistSq = dSq;
-                        closestIndex = idx;
-                    }
-                });
-
-                this.physics.grabIndex = closestIndex;
-                this.physics.grabPoint.copy(hit.point);
-                this.physics.localGrabPoint.copy(this.mesh.worldToLocal(hit.point.clone()));
-                this.physics.dragOffset.set(0, 0, 0);
-
-                this.calculateWeights();
-                audioManager.playTone(150, 'square', 0.1, 0.3);
-                this.canvas.style.cursor = 'grabbing';
-                if (this.btnOutline) this.btnOutline.visible = false; // Hide on stretch
-                // this.spawnDrip(); // Blood Effect DISABLED per user request
+        // Clicking again with a sticky mouse lets go of the old grab (and grabs anew on a hit)
+        if (this.releaseGrab(e.pointerId) && !this.state.isDragging) this.canvas.style.cursor = '';
+        const held = this.physics.grabs.filter(grab => grab.id !== KEYBOARD_ID);
+        if (held.length >= this.config.maxGrabs) return;
+
+        const { x, y } = this.toNDC(e);
+        this.raycaster.setFromCamera({ x, y }, this.camera);
+        const hits = this.raycaster.intersectObject(this.mesh);
+        if (hits.length === 0) return;
+        const hit = hits[0];
+
+        // GUARD: Ensure face exists to prevent crash
+        if (!hit.face) return;
+
+        // VERTEX ANCHORING: Find closest vertex on the face to lock the grab
+        // This prevents "drift" as the mesh deforms
+        const face = hit.face;
+        const indices = [face.a, face.b, face.c];
+        let minDistSq = Infinity;
+        let closestIndex = -1;
+
+        const posAttr = this.mesh.geometry.attributes.position;
+        const vPos = new THREE.Vector3();
+
+        // We must use CURRENT world positions to match the raycast hit
+        // But we store the INDEX to reference ORIGINAL positions later
+        indices.forEach(idx => {
+            vPos.fromBufferAttribute(posAttr, idx);
+            vPos.applyMatrix4(this.mesh.matrixWorld);
+            const dSq = vPos.distanceToSquared(hit.point);
+            if (dSq < minDistSq) {
+                minDistSq = dSq;
+                closestIndex = idx;
             }
+        });
+
+        // CAPTURE: moves and the release reach us even off the canvas (or off the window)
+        try {
+            this.canvas.setPointerCapture(e.pointerId);
+        } catch (err) {
+            // Synthetic or already-lifted pointer: window listeners still see it
+        }
+
+        const isFirst = !this.state.isDragging;
+        this.addGrab(e.pointerId, closestIndex, hit.point);
+        this.physics.targetPressY = -10.0;
+        audioManager.playTone(150, 'square', 0.1, 0.3);
+        this.announce(isFirst ? 'pressed' : `held at ${held.length + 1} points`);
+        this.canvas.style.cursor = 'grabbing';
+        // this.spawnDrip(); // Blood Effect DISABLED per user request
+    }
+
+    onPointerMove(e) {
+        const { x, y } = this.toNDC(e);
+        if (e.isPrimary) this.mouse.set(x, y);
+
+        const grab = this.findGrab(e.pointerId);
+        if (!grab || this.state.isExploded) return;
+        if (e.cancelable) e.preventDefault(); // Stop Scroll while dragging
+
+        const ray = new THREE.Ray();
+        ray.origin.setFromMatrixPosition(this.camera.matrixWorld);
+        ray.direction.set(x, y, 0.5).unproject(this.camera).sub(ray.origin).normalize();
+        const targetDist = grab.point.distanceTo(this.camera.position);
+        const targetPos = ray.origin.clone().add(ray.direction.multiplyScalar(targetDist));
+        grab.offset.copy(targetPos).sub(grab.point);
+        if (grab.offset.y > 5) this.physics.targetPressY = 0;
+    }
+
+    /**
+     * Pointer up / cancel. BUTTON.release decides what "up" means:
+     * 'sticky' keeps mouse and pen grabs stuck to the cursor until the dome bursts
+     * (the exhibit's original behaviour), 'up' lets go like a normal drag.
+     * Touch always lets go: a lifted finger has no position left to follow.
+     */
+    onPointerUp(e) {
+        if (!this.findGrab(e.pointerId)) return;
+
+        const isSticky = this.config.release === 'sticky' && e.pointerType !== 'touch' && e.type !== 'pointercancel';
+        if (isSticky) {
+            this.canvas.style.cursor = 'grabbing'; // Keep distinct cursor
+            return;
+        }
+
+        this.releaseGrab(e.pointerId);
+        if (!this.state.isDragging) {
+            this.canvas.style.cursor = '';
+            this.announce('released');
+        }
+    }
+
+    /**
+     * Starts a grab on one dome vertex: the nearest soft-body node, with its own Cauchy weight field.
+     * @param {number|string} id - pointerId, or KEYBOARD_ID.
+     * @param {number} index - Render vertex held.
+     * @param {THREE.Vector3} point - World position grabbed (drag depth reference).
+     */
+    addGrab(id, index, point) {
+        const o = this.originalPositions;
+        const grab = {
+            id,
+            node: nearestNode(this.body, o[index * 3], o[index * 3 + 1], o[index * 3 + 2]),
+            point: point.clone(),
+            offset: new THREE.Vector3(),
+            weights: new Float32Array(this.body.count)
         };
+        calculateWeights(this.body.rest, grab.node, this.config.softness, grab.weights);
 
-        const onMove = (e) => {
-            if (this.state.isDragging && e.cancelable) e.preventDefault(); // Stop Scroll while dragging
+        this.physics.grabs.push(grab);
+        this.state.isDragging = true;
+        this.state.isReturning = false;
+        if (this.btnOutline) this.btnOutline.visible = false; // Hide on stretch
+        return grab;
+    }
 
-            const { x, y } = getNDC(e);
-            this.mouse.set(x, y);
-            // DEBUG: Trace mouse movement
+    /**
+     * @returns {Object|undefined} The grab currently held by a pointer (or the keyboard).
+     */
+    findGrab(id) {
+        return this.physics.grabs.find(grab => grab.id === id);
+    }
 
-            if (!this.state.isDragging || this.state.isExploded) return;
+    /**
+     * Lets go of one grab: the soft body springs (and jiggles) home on its own.
+     * @returns {boolean} False if nothing was held under that id.
+     */
+    releaseGrab(id) {
+        const grab = this.findGrab(id);
+        if (!grab) return false;
+        this.physics.grabs = this.physics.grabs.filter(g => g !== grab);
+
+        this.state.isDragging = this.physics.grabs.length > 0;
+        if (!this.state.isDragging && !this.keyboard.isPressing) this.physics.targetPressY = 0;
+        return true;
+    }
 
-            if (Math.abs(x) > 0.95 || Math.abs(y) > 0.95) {
-                this.explode();
-                this.canvas.style.cursor = 'grab';
-                return;
-            }
-            const ray = new THREE.Ray();
-            ray.origin.setFromMatrixPosition(this.camera.matrixWorld);
-            ray.direction.set(x, y, 0.5).unproject(this.camera).sub(ray.origin).normalize();
-            const targetDist = this.physics.grabPoint.distanceTo(this.camera.position);
-            const targetPos = ray.origin.clone().add(ray.direction.multiplyScalar(targetDist));
-            this.physics.dragOffset.copy(targetPos).sub(this.physics.grabPoint);
-            if (this.physics.dragOffset.y > 5) this.physics.targetPressY = 0;
-            if (this.physics.dragOffset.length() > this.config.snapLimit) {
-                this.explode();
-                this.canvas.style.cursor = 'grab';
+    /**
+     * Keyboard stand-in for the pointer: a transparent button over the dome.
+     * Space/Enter press it, arrows stretch it from the apex as one more grab
+     * point (see addGrab), Escape (or leaving it) lets go.
+     */
+    bindKeyboard() {
+        if (!this.control) return;
+        this.control.hidden = false;
+
+        const isPressKey = (e) => e.key === ' ' || e.key === 'Enter';
+
+        const onKeyDown = (e) => {
+            if (isPressKey(e)) {
+                e.preventDefault(); // No synthetic click
+                if (!e.repeat) this.pressKey();
+            } else if (ARROWS[e.key]) {
+                e.preventDefault(); // No scrolling
+                this.stretchKey(ARROWS[e.key]);
+            } else if (e.key === 'Escape') {
+                this.releaseKeyboard();
             }
         };
 
-        const onUp = () => {
-            // "STICKY HAND" BEHAVIOR:
-            // Do NOT release on mouse up. The button stays stuck to the cursor
-            // until it bursts (explode) or resets.
-            this.canvas.style.cursor = 'grabbing'; // Keep distinct cursor
+        const onKeyUp = (e) => {
+            if (isPressKey(e)) this.releasePress();
         };
 
-        const c = this.canvas;
-        c.addEventListener('mousedown', onDown);
-        c.addEventListener('touchstart', onDown, { passive: false });
-        window.addEventListener('mousemove', onMove);
-        window.addEventListener('touchmove', onMove, { passive: false });
-        window.addEventListener('mouseup', onUp);
-        window.addEventListener('touchend', onUp);
+        const onBlur = () => {
+            this.releasePress();
+            this.releaseKeyboard();
+        };
+
+        this.listen(this.control, 'keydown', onKeyDown);
+        this.listen(this.control, 'keyup', onKeyUp);
+        this.listen(this.control, 'blur', onBlur);
     }
 
-    calculateWeights() {
-        const pos = this.originalPositions;
-
-        // Use the ORIGINAL position of the anchored vertex as field center
-        // This ensures the weight field moves WITH the material point, not space
-        const idx = this.physics.grabIndex;
-        if (idx === -1 || idx === undefined) return;
-
-        const cx = pos[idx * 3];
-        const cy = pos[idx * 3 + 1];
-        const cz = pos[idx * 3 + 2];
-        const grabY = Math.max(0.1, cy); // Use original Y reference
-
-        for (let i = 0; i < pos.length; i += 3) {
-            const dx = pos[i] - cx;
-            const dy = pos[i + 1] - cy;
-            const dz = pos[i + 2] - cz;
-            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-            // Lorentzian (Cauchy) Distribution: 1 / (1 + (distance/softness)^2)
-            // Round peak (derivative is 0 at distance 0) eliminates sharp point
-            // Smooth tail eliminates sharp corners on sides
-            let x = dist / this.config.softness;
-            let w = 1.0 / (1.0 + x * x);
-
-            if (pos[i + 1] < grabY) {
-                let pin = Math.max(0, pos[i + 1] / grabY);
-                // Relaxed pinning from 0.8 to 0.3 to remove "shoulder" artifacts
-                // Allows deformation to gently fade out down the shaft
-                w *= Math.pow(pin, 0.3);
-            }
-            this.weights[i / 3] = w;
+    /**
+     * prefers-reduced-motion: calmer heartbeat jitter, fewer confetti (see BUTTON.reduced*).
+     */
+    bindMotionPreference() {
+        if (!window.matchMedia) return;
+        const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.reducedMotion = query.matches;
+        this.listen(query, 'change', (e) => { this.reducedMotion = e.matches; });
+    }
+
+    pressKey() {
+        if (this.state.isExploded) return;
+        this.keyboard.isPressing = true;
+        this.physics.targetPressY = -10.0;
+        audioManager.playTone(150, 'square', 0.1, 0.3);
+        this.announce('pressed');
+    }
+
+    releasePress() {
+        if (!this.keyboard.isPressing) return;
+        this.keyboard.isPressing = false;
+        if (!this.state.isDragging) this.physics.targetPressY = 0;
+    }
+
+    /**
+     * Grabs the apex (first press) and pulls it one BUTTON.keyStep further.
+     * @param {{x: number, y: number}} direction - From ARROWS.
+     */
+    stretchKey(direction) {
+        if (this.state.isExploded) return;
+
+        let grab = this.findGrab(KEYBOARD_ID);
+        if (!grab) {
+            const apex = new THREE.Vector3().fromArray(this.originalPositions, APEX_INDEX * 3);
+            grab = this.addGrab(KEYBOARD_ID, APEX_INDEX, this.mesh.localToWorld(apex));
         }
+
+        grab.offset.x += direction.x * this.config.keyStep;
+        grab.offset.y += direction.y * this.config.keyStep;
+        if (grab.offset.y > 5) this.physics.targetPressY = 0;
+
+        // Strain as of the last step (the solver catches up with this press next step)
+        const percent = Math.min(100, Math.round(this.body.strain / this.config.body.burstStrain * 10) * 10);
+        this.announce(`stretched, ${percent}% of the way to bursting`);
     }
 
-    startLoop() {
-        const clock = new THREE.Clock();
-        const animate = () => {
-            requestAnimationFrame(animate);
-            const dt = Math.min(clock.getDelta(), 0.1);
-            if (this.isActive) this.localTime += dt * 1000;
+    /**
+     * Lets go of a keyboard stretch: the dome springs home.
+     */
+    releaseKeyboard() {
+        if (!this.releaseGrab(KEYBOARD_ID)) return;
+        this.announce('released');
+    }
 
-            this.updateConfetti();
+    /**
+     * Describes the button's state to screen readers (#buttonStatus, polite live region).
+     * @param {string} text - e.g. 'pressed', 'burst', 'regrown'
+     */
+    announce(text) {
+        if (!this.status) return;
+        // Clear first so a repeated message is read again
+        this.status.textContent = '';
+        setTimeout(() => { this.status.textContent = text; }, 50);
+    }
 
-            if (this.isActive && this.mesh.visible) {
-                this.updateHeartbeat();
-                this.physics.pressY += (this.physics.targetPressY - this.physics.pressY) * 0.6;
-                if (!this.state.isRegenerating) {
-                    this.mesh.position.y = this.physics.pressY;
-                }
-                this.updateDeformation();
-            }
-            this.updatePhysics(dt);
-            this.updatePhysics(dt);
-            if (this.isActive) {
-                if (this.state.isExploded) this.confettiGroup.visible = true;
-                this.renderer.render(this.scene, this.camera);
-            }
+    /**
+     * Keeps the keyboard stand-in over the dome, so its focus ring circles it.
+     */
+    positionControl() {
+        if (!this.control) return;
+        const w = window.innerWidth;
+        const h = window.innerHeight;
+        this.camera.updateMatrixWorld();
+
+        const toScreen = (x, y) => {
+            const v = new THREE.Vector3(x, y, 0).project(this.camera);
+            return { x: (v.x + 1) / 2 * w, y: (1 - v.y) / 2 * h };
         };
-        animate();
+        const left = toScreen(-75, 0);
+        const right = toScreen(75, 0);
+        const apex = toScreen(0, 66 * 0.7);
+
+        const style = this.control.style;
+        style.left = `${(left.x + right.x) / 2}px`;
+        style.top = `${(left.y + apex.y) / 2}px`;
+        style.width = `${right.x - left.x}px`;
+        style.height = `${Math.max(left.y - apex.y, 1)}px`;
+    }
+
+    /**
+     * Live tuning (setConfig): config is read at use, only the cached weight fields need rebuilding.
+     * @param {{ path: string }} change
+     */
+    onConfigChanged({ path }) {
+        if (path === 'BUTTON.softness') this.calculateWeights();
+    }
+
+    calculateWeights() {
+        this.physics.grabs.forEach((grab) => {
+            calculateWeights(this.body.rest, grab.node, this.config.softness, grab.weights);
+        });
+    }
+
+    step(dt) {
+        this.localTime += dt * 1000;
+
+        this.updateConfetti();
+
+        if (this.mesh.visible) {
+            this.updateHeartbeat();
+            this.physics.pressY += (this.physics.targetPressY - this.physics.pressY) * 0.6;
+            if (!this.state.isRegenerating) {
+                this.mesh.position.y = this.physics.pressY;
+            }
+            this.updateBody();
+        }
+        this.updatePhysics(dt);
+    }
+
+    render(alpha) {
+        this.renderConfetti(alpha);
+        if (this.mesh.visible) this.updateDeformation(alpha);
+        if (this.state.isExploded) this.confettiGroup.visible = true;
+        this.renderer.render(this.scene, this.camera);
     }
 
     updateHeartbeat() {
@@ -596,6 +783,7 @@ export class RubberButton {
                 this.mesh.position.set(0, this.physics.pressY, 0);
                 this.mesh.rotation.set(0, 0, 0);
                 this.mesh.scale.set(1, 0.7, 1);
+                this.announce('regrown');
             } else {
                 const t = this.state.regrowthProgress;
                 const origin = this.state.regrowthOrigin || { x: 0, y: -20, z: 0 };
@@ -627,8 +815,9 @@ export class RubberButton {
         // Jitter Effect during beat
         // Only jitter during the pulse window
         if (phase < pulseDur) {
-            this.mesh.position.x = (Math.random() - 0.5) * 0.5; // Increased jitter
-            this.mesh.position.z = (Math.random() - 0.5) * 0.5;
+            const jitter = 0.5 * (this.reducedMotion ? this.config.reducedJitter : 1); // Increased jitter
+            this.mesh.position.x = (this.random.next() - 0.5) * jitter;
+            this.mesh.position.z = (this.random.next() - 0.5) * jitter;
         } else {
             this.mesh.position.x = 0;
             this.mesh.position.z = 0;
@@ -656,106 +845,72 @@ export class RubberButton {
         if (this.state.isExploded) return;
     }
 
-    updateDeformation() {
-        const P = this.physics;
-        const positions = this.mesh.geometry.attributes.position.array;
-
-        if (!this.state.isDragging) {
-            // Spring Force: F = -k * x
-            const force = P.dragOffset.clone().multiplyScalar(-this.config.stiffness);
-            P.returnVelocity.add(force).multiplyScalar(this.config.damping);
-            P.dragOffset.add(P.returnVelocity);
-            if (P.dragOffset.lengthSq() < 0.01 && P.returnVelocity.lengthSq() < 0.01) {
-                P.dragOffset.set(0, 0, 0); P.returnVelocity.set(0, 0, 0);
-            }
+    /**
+     * Soft-body solver for one fixed step (see SimulationClock). Held grabs pull
+     * their nodes towards the dragged shape (deformDomeGrabs); let go, the dome
+     * rings on its springs and pressure. Any surface spring strained past
+     * BUTTON.body.burstStrain bursts it.
+     */
+    updateBody() {
+        const body = this.body;
+        const grabs = this.physics.grabs;
+        if (grabs.length === 0 && body.isResting) return;
+
+        let targets = null;
+        if (grabs.length > 0) {
+            const pulls = grabs.map(grab => ({
+                weights: grab.weights,
+                drag: grab.offset.clone().divide(this.mesh.scale) // Drag in the dome's local (unscaled) units
+            }));
+            targets = deformDomeGrabs(body.rest, pulls, this.config.bulgeStrength, this.gripTargets);
+
+            // Grip fades faster than the pull: the hand holds the material near it,
+            // springs and pressure shape the rest
+            this.grip.fill(0);
+            grabs.forEach((grab) => {
+                grab.weights.forEach((w, i) => { this.grip[i] = Math.max(this.grip[i], w * w); });
+            });
         }
 
-        if (P.dragOffset.lengthSq() > 0.001 || this.state.isDragging) {
-            const localDrag = P.dragOffset.clone();
-            localDrag.x /= this.mesh.scale.x; localDrag.y /= this.mesh.scale.y; localDrag.z /= this.mesh.scale.z;
-            let effDragY = localDrag.y;
-            let radialSquash = 0;
-
-            let globalCompression = 0;
-            if (localDrag.y < 0) {
-                // SQUASH (Push Down)
-                effDragY *= 0.1;
-                radialSquash = -localDrag.y * 0.4;
-                globalCompression = Math.min(80.0, -localDrag.y); // Clamped to prevent math explosion
-            } else {
-                // NECKING (Push Up) - "Slime Strand" effect
-                // Contract the width as we stretch up (Poisson ratio)
-                // This prevents the "lipstick cylinder" look
-                radialSquash = -localDrag.y * 0.3;
-            }
+        stepBody(body, targets, this.grip, this.config.body);
+        if (grabs.length === 0) settleBody(body);
 
-            for (let i = 0; i < this.weights.length; i++) {
-                const w = this.weights[i];
-                if (w < 0.001) {
-                    positions[i * 3] = this.originalPositions[i * 3];
-                    positions[i * 3 + 1] = this.originalPositions[i * 3 + 1];
-                    positions[i * 3 + 2] = this.originalPositions[i * 3 + 2];
-                    continue;
-                }
-                const ox = this.originalPositions[i * 3];
-                const oz = this.originalPositions[i * 3 + 2];
-                const oy = this.originalPositions[i * 3 + 1]; // Need Y for profile
-
-                // Local Squash (Pinch)
-                const sxLocal = ox * radialSquash * 0.01 * w;
-                const szLocal = oz * radialSquash * 0.01 * w;
-
-                // Global Bulge (Volumetric Spread)
-                // Expands the "belly" when compressed to cover the bezel
-                // Profile peaks at mid-height (approx 33, button height 66)
-                // Sine wave ensures base and top don't bulge excessively
-                const profile = Math.sin((Math.max(0, oy) / 66.0) * Math.PI);
-                const gSquashFactor = globalCompression * this.config.bulgeStrength * 0.01 * Math.max(0, profile);
-
-                // SAFETY: Prevent Mesh Inversion or NaN
-                // Combine local and global squash factors
-                // If sum < -0.9, we are inverting the mesh (turning it inside out) -> Clamp it
-                let totalSquash = (radialSquash * 0.01 * w) + gSquashFactor;
-                if (totalSquash < -0.9) totalSquash = -0.9;
-
-                // Fallback instead of skipping to prevent "frozen" vertices
-                if (isNaN(totalSquash)) totalSquash = 0;
-                if (isNaN(w)) w = 0;
-
-                // Apply safe squash
-                const sxTotal = ox * totalSquash;
-                const szTotal = oz * totalSquash;
-
-                let px = ox + (localDrag.x * w) + sxTotal;
-                let pz = oz + (localDrag.z * w) + szTotal;
-                let py = this.originalPositions[i * 3 + 1] + (effDragY * w);
-
-                // Final NaN Guard - Reset to original if calculation fails
-                if (isNaN(px) || isNaN(py) || isNaN(pz)) {
-                    px = ox; py = oy; pz = oz;
-                }
-
-                positions[i * 3] = px;
-                positions[i * 3 + 2] = pz;
-
-                // Restored limitY clamping to fix bottom clipping
-                // Ensure vertices don't go below the base (y=0 or specific limit)
-                if (py < -15) py = -15;
-                positions[i * 3 + 1] = py;
-            }
-            this.mesh.geometry.attributes.position.needsUpdate = true;
-            this.mesh.geometry.computeVertexNormals();
+        if (body.strain > this.config.body.burstStrain) {
+            this.explode();
+            this.canvas.style.cursor = 'grab';
         }
     }
 
+    /**
+     * Writes the skinned soft body into the vertex buffer.
+     * @param {number} [alpha=1] - Blend between previous and current step.
+     */
+    updateDeformation(alpha = 1) {
+        const attribute = this.mesh.geometry.attributes.position;
+
+        if (this.body.isResting) {
+            if (!this.isDeformed) return;
+            attribute.array.set(this.originalPositions); // Settled: back to rest once
+            if (this.btnOutline) this.btnOutline.visible = true;
+            this.isDeformed = false;
+        } else {
+            skinDome(this.body, this.skin, this.originalPositions, attribute.array, alpha);
+            this.isDeformed = true;
+        }
+
+        attribute.needsUpdate = true;
+        this.mesh.geometry.computeVertexNormals();
+    }
+
     resetPhysics() {
-        this.physics.dragOffset.set(0, 0, 0);
-        this.physics.returnVelocity.set(0, 0, 0);
-        this.physics.grabPoint.set(0, 0, 0);
-        this.physics.localGrabPoint.set(0, 0, 0);
+        this.physics.grabs = [];
+        this.body.pos.set(this.body.rest);
+        this.body.prev.set(this.body.rest);
+        this.body.strain = 0;
+        this.body.isResting = true;
         this.physics.pressY = 0;
         this.physics.targetPressY = 0;
-        this.weights.fill(0);
+        this.isDeformed = false;
         this.mesh.geometry.attributes.position.array.set(this.originalPositions);
         this.mesh.geometry.attributes.position.needsUpdate = true;
         this.mesh.position.y = 0;
@@ -763,24 +918,32 @@ export class RubberButton {
         if (this.btnOutline) this.btnOutline.visible = true; // Show when reset
     }
 
-    onResize() {
+    resize() {
         if (!this.camera || !this.renderer) return;
         const w = window.innerWidth;
         const h = window.innerHeight;
         this.camera.aspect = w / h;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(w, h);
+        this.positionControl();
     }
 
-    setActive(active) {
-        this.isActive = active;
-        if (active) {
-            this.localTime = 0;
-            this.state.beatPhase = 0;
-            this.onResize();
-            if (this.canvas) this.canvas.style.display = 'block';
-        } else {
-            if (this.canvas) this.canvas.style.display = 'none';
-        }
+    activate() {
+        if (!this.isMounted) return;
+        this.localTime = 0;
+        this.state.beatPhase = 0;
+        this.resize();
+        this.canvas.style.display = 'block';
+        super.activate();
+    }
+
+    deactivate() {
+        super.deactivate();
+        if (this.canvas) this.canvas.style.display = 'none';
+    }
+
+    destroy() {
+        super.destroy();
+        if (this.renderer) this.renderer.dispose();
     }
 }
@@ -0,0 +1,151 @@
+import { APP_CONFIG } from '../config.js';
+
+/**
+ * COMPONENT: Shadow Eyes
+ * Blinking, gaze and mood of the Mirror's figure. Mirror feeds it input and
+ * particle activity each step and asks it how open the eyes are and where they look.
+ *
+ * States:
+ *   'idle'        - nobody typing: follows the pointer, otherwise glances around
+ *   'listening'   - typing: watches the caret, eyes slightly wider
+ *   'overwhelmed' - a burst of tears: squints until the pressure eases
+ */
+export class ShadowEyes {
+    /**
+     * @param {import('../utils/Random.js').Random} random - Blink/glance timing source.
+     */
+    constructor(random) {
+        this.random = random;
+        this.state = 'idle';
+        this.time = 0;           // Seconds (advanced by step)
+        this.lastInputTime = -Infinity;
+        this.pressure = 0;       // Leaky count of recent tears
+        this.overwhelmedUntil = 0;
+
+        this.openness = 1;       // 0 = shut, 1 = normal (eased towards the state's target)
+        this.blinkStart = -Infinity;
+        this.nextBlink = this.randomBlinkDelay();
+
+        this.pointer = null;     // Canvas px, or null when outside the page
+        this.caret = null;       // Canvas px of the typing caret
+        this.glance = null;      // Idle wander target
+        this.nextGlance = 0;
+        this.gaze = null;        // Eased look-at point (null = straight ahead)
+    }
+
+    randomBlinkDelay() {
+        const { BLINK_MIN, BLINK_MAX } = APP_CONFIG.FIGURE;
+        return BLINK_MIN + this.random.next() * (BLINK_MAX - BLINK_MIN);
+    }
+
+    /**
+     * A keystroke arrived.
+     * @param {number} tears - Tears it will produce.
+     * @param {{x: number, y: number}|null} caret - Caret position (canvas px).
+     */
+    noteInput(tears, caret) {
+        this.lastInputTime = this.time;
+        this.pressure += tears;
+        if (caret) this.caret = caret;
+    }
+
+    lookAt(point) {
+        this.pointer = point;
+    }
+
+    /**
+     * @param {number} dt - Seconds.
+     * @param {number} liveTears - Tears currently on screen.
+     * @param {{x: number, y: number, w: number, h: number}} bounds - Area to glance around in.
+     */
+    step(dt, liveTears, bounds) {
+        const F = APP_CONFIG.FIGURE;
+        this.time += dt;
+        this.pressure *= Math.exp(-dt / F.PRESSURE_DECAY);
+
+        // STATE: Overwhelm wins and lingers; otherwise typing means listening
+        if (this.pressure > F.OVERWHELM_PRESSURE || liveTears > F.OVERWHELM_TEARS) {
+            this.overwhelmedUntil = this.time + F.OVERWHELM_HOLD;
+        }
+        if (this.time < this.overwhelmedUntil) this.state = 'overwhelmed';
+        else if (this.time - this.lastInputTime < F.LISTEN_TIMEOUT) this.state = 'listening';
+        else this.state = 'idle';
+
+        // BLINK: Random intervals, on top of any squint
+        if (this.time >= this.nextBlink) {
+            this.blinkStart = this.time;
+            this.nextBlink = this.time + this.randomBlinkDelay();
+        }
+
+        const target = F.OPENNESS[this.state] * this.blinkCurve();
+        this.openness += (target - this.openness) * Math.min(1, dt * F.LID_SPEED);
+
+        this.updateGaze(dt, bounds);
+    }
+
+    /**
+     * 1 = open, dipping to 0 and back over BLINK_DURATION.
+     */
+    blinkCurve() {
+        const t = (this.time - this.blinkStart) / APP_CONFIG.FIGURE.BLINK_DURATION;
+        if (t < 0 || t > 1) return 1;
+        return Math.abs(Math.cos(t * Math.PI));
+    }
+
+    updateGaze(dt, bounds) {
+        const F = APP_CONFIG.FIGURE;
+        let target = null;
+
+        if (this.state === 'listening' && this.caret) {
+            target = this.caret;
+        } else if (this.pointer) {
+            target = this.pointer;
+        } else if (this.state === 'idle') {
+            // Wander: a new glance every few seconds
+            if (this.time >= this.nextGlance) {
+                this.glance = {
+                    x: bounds.x + this.random.next() * bounds.w,
+                    y: bounds.y + this.random.next() * bounds.h
+                };
+                this.nextGlance = this.time + F.GLANCE_MIN + this.random.next() * (F.GLANCE_MAX - F.GLANCE_MIN);
+            }
+            target = this.glance;
+        }
+
+        if (!target) {
+            this.gaze = null;
+            return;
+        }
+        if (!this.gaze) {
+            this.gaze = { x: target.x, y: target.y };
+            return;
+        }
+
+        const ease = Math.min(1, dt * F.GAZE_SPEED);
+        this.gaze.x += (target.x - this.gaze.x) * ease;
+        this.gaze.y += (target.y - this.gaze.y) * ease;
+    }
+
+    /**
+     * Pupil offset for an eye, pointing at the gaze and kept inside the (possibly squinting) eye.
+     * @param {number} x - Eye centre (canvas px).
+     * @param {number} y
+     * @param {number} w - Eye width (px).
+     * @param {number} h - Eye height (px), before squinting.
+     * @returns {{x: number, y: number}}
+     */
+    pupilOffset(x, y, w, h) {
+        if (!this.gaze) return { x: 0, y: 0 };
+
+        const dx = this.gaze.x - x;
+        const dy = this.gaze.y - y;
+        const dist = Math.hypot(dx, dy) || 1;
+        const reach = Math.min(1, dist / APP_CONFIG.FIGURE.GAZE_RANGE);
+        const travel = APP_CONFIG.FIGURE.PUPIL_TRAVEL;
+
+        return {
+            x: (dx / dist) * reach * (w / 2) * travel,
+            y: (dy / dist) * reach * (h / 2) * travel * Math.min(1, this.openness)
+        };
+    }
+}
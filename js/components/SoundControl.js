@@ -0,0 +1,46 @@
+import { audioManager } from '../utils/AudioManager.js';
+
+/**
+ * COMPONENT: Sound Control
+ * Speaker toggle + volume slider, pinned to the corner of every exhibit.
+ * State lives in AudioManager (persisted); this only reflects and edits it.
+ */
+export class SoundControl {
+    constructor() {
+        this.toggle = document.getElementById('soundToggle');
+        this.slider = document.getElementById('soundVolume');
+        this.init();
+    }
+
+    init() {
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => audioManager.toggleMute());
+        }
+
+        if (this.slider) {
+            this.slider.addEventListener('input', () => {
+                audioManager.setVolume(parseFloat(this.slider.value));
+                // Dragging the slider up implies "I want sound"
+                if (audioManager.isMuted() && audioManager.getVolume() > 0) audioManager.unmute();
+            });
+        }
+
+        window.addEventListener('audio-preferences-changed', () => this.render());
+        this.render();
+    }
+
+    render() {
+        const muted = audioManager.isMuted() || audioManager.getVolume() === 0;
+
+        if (this.toggle) {
+            this.toggle.classList.toggle('is-muted', muted);
+            this.toggle.setAttribute('aria-pressed', String(muted));
+            this.toggle.setAttribute('aria-label', muted ? 'Unmute sound' : 'Mute sound');
+            this.toggle.title = muted ? 'Unmute' : 'Mute';
+        }
+
+        if (this.slider) {
+            this.slider.value = String(audioManager.getVolume());
+        }
+    }
+}
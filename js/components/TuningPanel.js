@@ -0,0 +1,236 @@
+import { APP_CONFIG } from '../config.js';
+import { CONFIG_SCHEMA } from '../config.schema.js';
+import { fieldAt } from '../utils/ConfigSchema.js';
+import { setConfig } from '../utils/ConfigStore.js';
+import { getPath, listTunables, sliderRange, toConfigSource } from '../utils/ConfigTree.js';
+
+const PRESETS_KEY = 'gallery.tuning';
+const QUERY_PARAM = 'tune';
+const CHORD = { code: 'KeyT', altKey: true, shiftKey: true }; // Alt+Shift+T
+
+function element(tag, props = {}) {
+    return Object.assign(document.createElement(tag), props);
+}
+
+/**
+ * COMPONENT: Tuning Panel (dev overlay)
+ * Sliders and inputs for every APP_CONFIG leaf, opened with ?tune or Alt+Shift+T.
+ *
+ * Edits go through setConfig (validated against the schema), which fires a
+ * 'config-changed' window event ({ path, value }). Values the exhibits read
+ * every step apply immediately; Mirror, RubberButton and AudioManager listen
+ * for the event to re-apply what they cache. Allocation sizes (POOL_SIZE,
+ * PUDDLE_COLUMNS) take effect on reload.
+ * Named presets live in localStorage; Export prints a config.js snippet.
+ */
+export class TuningPanel {
+    constructor() {
+        this.root = null;
+        this.defaults = listTunables(APP_CONFIG); // Snapshot before any edit (Reset)
+        this.controls = new Map(); // path -> sync(value), keeps inputs in step with APP_CONFIG
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== CHORD.code || e.altKey !== CHORD.altKey || e.shiftKey !== CHORD.shiftKey) return;
+            e.preventDefault(); // Don't type the chord into the Mirror
+            this.toggle();
+        });
+
+        // Changes from anywhere (setEcho, presets, the console) keep the inputs in step
+        window.addEventListener('config-changed', (e) => {
+            const sync = this.controls.get(e.detail.path);
+            if (sync) sync(e.detail.value);
+        });
+
+        if (new URLSearchParams(window.location.search).has(QUERY_PARAM)) this.open();
+    }
+
+    open() {
+        if (!this.root) this.build();
+        this.root.hidden = false;
+    }
+
+    close() {
+        if (this.root) this.root.hidden = true;
+    }
+
+    toggle() {
+        if (this.root && !this.root.hidden) this.close();
+        else this.open();
+    }
+
+    /**
+     * Writes one value (rejected values snap the input back).
+     * @param {string} path - e.g. 'BUTTON.softness'
+     */
+    set(path, value) {
+        if (getPath(APP_CONFIG, path) === value) return;
+        if (setConfig(path, value)) return;
+
+        const sync = this.controls.get(path);
+        if (sync) sync(getPath(APP_CONFIG, path));
+    }
+
+    // -------------------------------------------------------------------------
+    // DOM
+    // -------------------------------------------------------------------------
+    build() {
+        this.root = element('aside', { className: 'tuning-panel' });
+        this.root.setAttribute('aria-label', 'Tuning panel');
+        this.root.append(this.buildToolbar());
+
+        // One collapsible group per top-level section
+        const groups = new Map();
+        listTunables(APP_CONFIG).forEach((tunable) => {
+            const [section] = tunable.path.split('.');
+            if (!groups.has(section)) {
+                const group = element('details');
+                group.append(element('summary', { textContent: section }));
+                groups.set(section, group);
+                this.root.append(group);
+            }
+            groups.get(section).append(this.buildControl(tunable));
+        });
+
+        document.body.append(this.root);
+        this.renderPresets();
+    }
+
+    buildToolbar() {
+        const bar = element('div', { className: 'tuning-toolbar' });
+
+        this.presetSelect = element('select', { title: 'Load preset' });
+        this.presetSelect.addEventListener('change', () => this.applyPreset(this.presetSelect.value));
+
+        const name = element('input', { type: 'text', placeholder: 'Preset name' });
+        const save = element('button', { type: 'button', textContent: 'Save' });
+        save.addEventListener('click', () => {
+            if (name.value.trim()) this.savePreset(name.value.trim());
+        });
+
+        const remove = element('button', { type: 'button', textContent: 'Delete' });
+        remove.addEventListener('click', () => this.deletePreset(this.presetSelect.value));
+
+        const reset = element('button', { type: 'button', textContent: 'Reset' });
+        reset.addEventListener('click', () => this.applyValues(this.defaults));
+
+        const exportButton = element('button', { type: 'button', textContent: 'Export' });
+        this.exportField = element('textarea', { readOnly: true, rows: 8, hidden: true });
+        exportButton.addEventListener('click', () => this.exportSnippet());
+
+        const close = element('button', { type: 'button', textContent: '×', title: 'Close (Alt+Shift+T)' });
+        close.addEventListener('click', () => this.close());
+
+        bar.append(this.presetSelect, name, save, remove, reset, exportButton, close, this.exportField);
+        return bar;
+    }
+
+    buildControl({ path, value, kind }) {
+        const spec = fieldAt(CONFIG_SCHEMA, path);
+        const title = spec && spec.describe ? `${path}: ${spec.describe()}` : path;
+        const row = element('label', { className: 'tuning-row', title });
+        row.append(element('span', { textContent: path.split('.').slice(1).join('.') || path }));
+
+        if (kind === 'number') {
+            // Default-centred range, kept inside the schema's bounds
+            const range = sliderRange(value);
+            if (spec && spec.range) {
+                if (Number.isFinite(spec.range.min)) range.min = Math.max(range.min, spec.range.min);
+                if (Number.isFinite(spec.range.max)) range.max = Math.min(range.max, spec.range.max);
+            }
+            const isInteger = spec && spec.type === 'integer'; // e.g. BUTTON.maxGrabs: whole steps only
+            if (isInteger) range.step = Math.max(1, Math.round(range.step));
+            const slider = element('input', { type: 'range', ...range });
+            const field = element('input', { type: 'number', step: isInteger ? 1 : 'any' });
+            slider.addEventListener('input', () => this.set(path, Number(slider.value)));
+            field.addEventListener('change', () => {
+                const number = Number(field.value);
+                if (field.value !== '' && Number.isFinite(number)) this.set(path, number);
+            });
+            this.controls.set(path, (v) => { slider.value = field.value = String(v); });
+            row.append(slider, field);
+        } else if (kind === 'boolean') {
+            const box = element('input', { type: 'checkbox' });
+            box.addEventListener('change', () => this.set(path, box.checked));
+            this.controls.set(path, (v) => { box.checked = v; });
+            row.append(box);
+        } else {
+            const field = element('input', { type: kind === 'color' ? 'color' : 'text' });
+            field.addEventListener('change', () => this.set(path, field.value));
+            this.controls.set(path, (v) => { field.value = v; });
+            row.append(field);
+        }
+
+        this.controls.get(path)(value);
+        return row;
+    }
+
+    // -------------------------------------------------------------------------
+    // PRESETS & EXPORT
+    // -------------------------------------------------------------------------
+    loadPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+        } catch (e) {
+            return {}; // Storage blocked (private mode) or corrupted
+        }
+    }
+
+    storePresets(presets) {
+        try {
+            localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+        } catch (e) {
+            // Storage unavailable: presets last for this visit only
+        }
+    }
+
+    savePreset(name) {
+        const presets = this.loadPresets();
+        presets[name] = Object.fromEntries(listTunables(APP_CONFIG).map(({ path, value }) => [path, value]));
+        this.storePresets(presets);
+        this.renderPresets(name);
+    }
+
+    deletePreset(name) {
+        const presets = this.loadPresets();
+        if (!(name in presets)) return;
+        delete presets[name];
+        this.storePresets(presets);
+        this.renderPresets();
+    }
+
+    applyPreset(name) {
+        const values = this.loadPresets()[name];
+        if (!values) return;
+        this.applyValues(Object.entries(values).map(([path, value]) => ({ path, value })));
+    }
+
+    /**
+     * Applies saved values, skipping paths that no longer exist or changed type.
+     * @param {Array<{ path: string, value: * }>} values
+     */
+    applyValues(values) {
+        values.forEach(({ path, value }) => {
+            if (typeof value === typeof getPath(APP_CONFIG, path)) this.set(path, value);
+        });
+    }
+
+    renderPresets(selected = '') {
+        const names = Object.keys(this.loadPresets()).sort();
+        this.presetSelect.replaceChildren(
+            element('option', { value: '', textContent: names.length ? 'Presets…' : 'No presets' }),
+            ...names.map(name => element('option', { value: name, textContent: name }))
+        );
+        this.presetSelect.value = selected;
+    }
+
+    exportSnippet() {
+        const source = toConfigSource(APP_CONFIG);
+        this.exportField.value = source;
+        this.exportField.hidden = false;
+        this.exportField.select();
+        if (navigator.clipboard) navigator.clipboard.writeText(source).catch(() => { }); // Selected text is the fallback
+    }
+}
@@ -1,9 +1,10 @@
 /**
  * APP CONFIGURATION
  * Centralized tuning for Physics, Visuals, and Layout.
+ * Types, ranges and units of every value are declared in js/config.schema.js.
  */
 
-export const APP_CONFIG = {
+export let APP_CONFIG = {
     // -------------------------------------------------------------------------
     // ASSETS
     // -------------------------------------------------------------------------
@@ -12,29 +13,77 @@ export const APP_CONFIG = {
     // -------------------------------------------------------------------------
     IMAGE_URL: 'assets/images/shadowman_silhouette.png',
 
+    // -------------------------------------------------------------------------
+    // SIMULATION CLOCK
+    // -------------------------------------------------------------------------
+    // All per-step physics values below (GRAVITY, DRAG, LIFE_DECAY...) are
+    // applied once per fixed step at STEP_HZ, independent of display refresh.
+    SIMULATION: {
+        STEP_HZ: 60,     // Matches the 60Hz displays the constants were tuned on
+        MAX_FRAME: 0.1,  // Seconds: longest frame the clock will catch up on
+    },
+
+    // -------------------------------------------------------------------------
+    // GALLERY NAVIGATION
+    // -------------------------------------------------------------------------
+    GALLERY: {
+        WRAP: false, // Loop from the last exhibit back to the first
+        START: null, // Exhibit slug to open on (e.g. 'the-button'); null = first. A #hash wins.
+    },
+
+    // -------------------------------------------------------------------------
+    // RANDOMNESS (js/utils/Random.js)
+    // -------------------------------------------------------------------------
+    RANDOM: {
+        SEED: null, // Fixed seed (number or text) for reproducible runs; null = new each visit. ?seed= overrides.
+    },
+
     // -------------------------------------------------------------------------
     // VISUAL TUNING
     // -------------------------------------------------------------------------
 
 
     AUDIO: {
-        ECHO_DELAY: 0.3,
-        ECHO_FEEDBACK: 0.05,
-        ECHO_WET: 0.15
+        MASTER_VOLUME: 0.8, // TUNED: Max Volume (default until the visitor changes it)
+        GAIN_RAMP: 0.05,    // Seconds: volume/mute fade (prevents clicks)
+        ECHO_DELAY: 0.3,     // Seconds between repeats
+        ECHO_FEEDBACK: 0.05, // Repeat level (capped at 0.95)
+        ECHO_WET: 0.15,      // Echo bus return level
+        // Default per-sound echo sends (each play* method also takes an override)
+        SEND_TONE: 0.0,      // Heartbeat thump, grab click, regrow
+        SEND_NOTE: 0.5,      // Keystroke melody ("ethereal echo")
+        SEND_POP: 0.0,
+        SEND_SIGH: 0.7
+    },
+    MELODY: {
+        PIECE: 'fur-elise', // 'fur-elise' | 'gymnopedie-1' | 'greensleeves' | 'random' (one per session)
     },
     BUTTON: {
         softness: 85.0,   // TUNED: "Water Balloon" sweet spot (smooth curve, no sharp tip)
-        stiffness: 0.08,  // TUNED: Looser, taffy-like stretch
-        damping: 0.82,    // TUNED: Fluid but viscous
-        snapLimit: 100.0, // TUNED: Extremely easy to burst
+        stiffness: 0.08,  // TUNED: Looser, taffy-like stretch (2D fallback's return spring)
+        damping: 0.82,    // TUNED: Fluid but viscous (2D fallback's return spring)
+        snapLimit: 100.0, // TUNED: Extremely easy to burst (2D fallback; the 3D dome bursts from body.burstStrain)
         bulgeStrength: 0.0, // TUNED: No artificial expansion
-        beatRate: 1200 // TUNED: Faster heartbeat (50 BPM-ish)
+        beatRate: 1200, // TUNED: Faster heartbeat (50 BPM-ish)
+        keyStep: 12.0,        // Stretch per arrow key press (px, world units)
+        maxGrabs: 2,          // Pointers that can hold the dome at once (two-finger pinch)
+        release: 'sticky',    // 'sticky': mouse/pen stay stuck until it bursts; 'up': let go on release (touch always lets go)
+        reducedJitter: 0.2,   // Heartbeat jitter scale under prefers-reduced-motion
+        reducedConfetti: 0.25, // Confetti batch scale under prefers-reduced-motion
+        body: {               // 3D dome soft-body solver (js/physics/SoftBody.js)
+            stiffness: 0.5,   // Surface spring correction per solver pass
+            damping: 0.93,    // Velocity kept per step: lower settles sooner, higher jiggles longer
+            pressure: 1.0,    // Volume correction per pass (0 = deflated skin, 1 = incompressible)
+            iterations: 4,    // Solver passes per step
+            burstStrain: 2.0  // TUNED: Bursts when a surface spring reaches 3x its rest length
+        }
     },
     CONFETTI: {
+        POOL_SIZE: 3000,      // Instances in the shared InstancedMesh (max live pieces)
         BATCH_SIZE: 780,      // TUNED: Increased density (+20%)
         SPAWN_RADIUS: 100.0,  // TUNED: Wider Start
         EXPLOSION_POWER: 35.0, // TUNED: Tighter Burst (Containment)
-        VELOCITY_Y_BASE: 0.0,
+        VELOCITY_Y_BASE: 8.0,  // TUNED: Upward bias
         VELOCITY_Y_VAR: 12.0,  // TUNED: Chaotic Pop
         GRAVITY: 0.13,        // TUNED: Paper Weight (Light)
         DRAG: 0.91,           // TUNED: High Air Resistance
@@ -71,16 +120,78 @@ export const APP_CONFIG = {
         BOUNDARY_Y: 0.35,
     },
 
-    EYES: {
-        LEFT: { x: 0.46, y: 0.24 },
-        RIGHT: { x: 0.53, y: 0.24 },
-        WIDTH: 0.045,
-        HEIGHT: 0.025,
+    TEARS: {
+        MODE: 'letter',      // 'letter' (one tear per key) | 'word' | 'sentence' (linked strands)
+        STRAND_SPACING: 16,  // Max px between letters of a fully stretched strand
+        SPAWN_RATE: 30,      // Max tears released per second (faster input queues, never drops)
+        POOL_SIZE: 400,      // Max live tears (oldest/faintest are recycled when full)
+        MERGE_RADIUS: 6,     // Touch radius (px) of a single tear; grows with sqrt(mass)
+        MERGE_MAX_MASS: 6,   // Drops stop merging at this many tears
+        MERGE_MIN_AGE: 60,   // Steps a tear runs down the face before it may merge (off the face: at once)
+        PUDDLE_COLUMNS: 48,  // Height-field resolution along the dialog box
+        PUDDLE_VOLUME: 3,    // px of puddle height added per tear
+        PUDDLE_SPREAD: 0.15, // How quickly the puddle levels out (0..1 per step)
+        PUDDLE_EVAPORATION: 0.01, // px lost per column per step
+        PUDDLE_MAX_HEIGHT: 18,    // px
     },
 
-    // -------------------------------------------------------------------------
-    // COMPONENT: MAGNETIC BUTTON
-    // -------------------------------------------------------------------------
+    // Local sentiment lexicon (js/utils/Sentiment.js): the recent text picks a mood,
+    // the mood styles new tears and re-colours the keystroke melody
+    EMOTION: {
+        WINDOW: 120,         // Characters of recent input that are scored
+        THRESHOLD: 0.5,      // Minimum weighted hits before leaving neutral (one word is 0.5..1)
+        NEUTRAL: 'neutral',
+        LEXICON: {          // Checked in order; entries of 4+ letters also match longer words
+            sad: ['sad', 'sorry', 'miss', 'alone', 'lonel', 'lost', 'cry', 'cried', 'tear', 'hurt', 'regret',
+                'grief', 'griev', 'died', 'dead', 'empty', 'broke', 'tired', 'guilt', 'ashamed', 'goodbye', 'hopeless'],
+            angry: ['hate', 'angry', 'anger', 'mad', 'furious', 'rage', 'stupid', 'liar', 'lied', 'unfair',
+                'damn', 'fight', 'scream', 'betray', 'kill'],
+            hopeful: ['hope', 'love', 'happy', 'better', 'tomorrow', 'glad', 'thank', 'grateful', 'free',
+                'proud', 'dream', 'smile', 'laugh', 'heal', 'joy', 'okay', 'forgive', 'believe']
+        },
+        NEGATORS: ['not', 'no', 'never', "don't", "can't", "isn't", "wasn't", "won't", "didn't"],
+        NEGATED: { hopeful: 'sad' }, // "not happy" counts as sad
+        // COLOR / SIZE (px) / FALL (gravity multiplier) style tears;
+        // MODE (null = as written) / TEMPO (multiplier) / ECHO_SEND (null = AUDIO.SEND_NOTE) shape the melody
+        MOODS: {
+            neutral: { COLOR: '#FFFFFF', SIZE: 24, FALL: 1.0, MODE: null, TEMPO: 1.0, ECHO_SEND: null },
+            sad: { COLOR: '#A9C1E0', SIZE: 26, FALL: 0.7, MODE: 'minor', TEMPO: 0.8, ECHO_SEND: 0.8 },
+            angry: { COLOR: '#E0523F', SIZE: 28, FALL: 1.6, MODE: 'minor', TEMPO: 1.3, ECHO_SEND: 0.15 },
+            hopeful: { COLOR: '#F2DC9B', SIZE: 22, FALL: 0.8, MODE: 'major', TEMPO: 1.1, ECHO_SEND: 0.6 }
+        }
+    },
+
+    // Downloadable recording of a secret's fall (js/utils/KeepsakeRecorder.js)
+    KEEPSAKE: {
+        BACKGROUND: '#706c61', // Frame colour behind the transparent canvas (matches .art-frame)
+        MAX_SECONDS: 30,       // Recording stops here even if tears are still falling
+        VIDEO_FPS: 30,
+        VIDEO_BITRATE: 2500000, // bits/s
+        GIF_FPS: 10,           // Fallback encoder (main thread, so kept light)
+        GIF_WIDTH: 360,        // px
+    },
+
+    // Eye animation of the Mirror's figure (js/components/ShadowEyes.js). Times in seconds.
+    FIGURE: {
+        BLINK_MIN: 2.5,
+        BLINK_MAX: 6.0,
+        BLINK_DURATION: 0.18,
+        LID_SPEED: 18,       // How fast lids follow their target (per second)
+        OPENNESS: { idle: 1.0, listening: 1.15, overwhelmed: 0.35 }, // Eye height per state
+        LISTEN_TIMEOUT: 1.5, // Listening lasts this long after the last key
+        PRESSURE_DECAY: 1.5, // Time constant of the recent-tear count
+        OVERWHELM_PRESSURE: 12, // Recent tears that overwhelm the figure...
+        OVERWHELM_TEARS: 120,   // ...or tears on screen at once
+        OVERWHELM_HOLD: 2.5,
+        GAZE_SPEED: 6,       // Pupil easing (per second)
+        GAZE_RANGE: 200,     // px from the eye at which pupils reach full travel
+        PUPIL_TRAVEL: 0.6,   // Fraction of the eye's half-size pupils may move
+        PUPIL_RADIUS: 2,     // px
+        GLANCE_MIN: 1.5,     // Idle wandering between glances
+        GLANCE_MAX: 4.0,
+    },
+
+    // Eye placement on the Mirror's figure (fractions of the frame)
     EYES: {
         LEFT: { x: 0.46, y: 0.24 },
         RIGHT: { x: 0.53, y: 0.24 },
@@ -88,3 +199,12 @@ export const APP_CONFIG = {
         HEIGHT: 0.025,
     }
 };
+
+/**
+ * Swaps in a new tree. APP_CONFIG is deep-frozen at startup (lockConfig), so
+ * changes go through setConfig() in js/utils/ConfigStore.js, which validates them
+ * and calls this; every importer sees the new tree through the live binding.
+ */
+export function replaceConfig(next) {
+    APP_CONFIG = next;
+}
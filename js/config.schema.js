@@ -0,0 +1,208 @@
+import { boolean, color, integer, list, nullable, number, oneOf, record, string, union } from './utils/ConfigSchema.js';
+import { MELODIES } from './utils/MelodyLibrary.js';
+
+/**
+ * APP CONFIGURATION SCHEMA
+ * Type, range and unit of every value in js/config.js, checked at startup
+ * (lockConfig in js/utils/ConfigStore.js). "Per step" values apply once per
+ * fixed SIMULATION step; world units are the Button scene's (px at zoom 1).
+ */
+export const CONFIG_SCHEMA = {
+    IMAGE_URL: string(),
+
+    SIMULATION: {
+        STEP_HZ: integer('[1, 480]', 'Hz'),
+        MAX_FRAME: number('(0, 1]', 's'),
+    },
+
+    GALLERY: {
+        WRAP: boolean(),
+        START: nullable(string()),
+    },
+
+    RANDOM: {
+        SEED: nullable(union(integer('[0, 4294967295]'), string())),
+    },
+
+    AUDIO: {
+        MASTER_VOLUME: number('[0, 1]', 'gain'),
+        GAIN_RAMP: number('(0, 1]', 's'),
+        ECHO_DELAY: number('[0, 2]', 's'),
+        ECHO_FEEDBACK: number('[0, 0.95]', 'gain'),
+        ECHO_WET: number('[0, 2]', 'gain'),
+        SEND_TONE: number('[0, 1]', 'gain'),
+        SEND_NOTE: number('[0, 1]', 'gain'),
+        SEND_POP: number('[0, 1]', 'gain'),
+        SEND_SIGH: number('[0, 1]', 'gain'),
+    },
+
+    MELODY: {
+        PIECE: oneOf(...Object.keys(MELODIES), 'random'),
+    },
+
+    BUTTON: {
+        softness: number('(0, inf)', 'px'),
+        stiffness: number('(0, 1)', 'spring pull per step'),
+        damping: number('[0, 1)', 'velocity kept per step'),
+        snapLimit: number('(0, inf)', 'px'),
+        bulgeStrength: number('[0, inf)'),
+        beatRate: number('(0, inf)', 'ms per beat'),
+        keyStep: number('(0, inf)', 'px per key press'),
+        maxGrabs: integer('[1, 10]', 'pointers'),
+        release: oneOf('sticky', 'up'),
+        reducedJitter: number('[0, 1]', 'scale'),
+        reducedConfetti: number('[0, 1]', 'scale'),
+        body: {
+            stiffness: number('(0, 1]', 'spring correction per pass'),
+            damping: number('[0, 1)', 'velocity kept per step'),
+            pressure: number('[0, 1]', 'volume correction per pass'),
+            iterations: integer('[1, 20]', 'passes per step'),
+            burstStrain: number('(0, inf)', 'x rest length stretch'),
+        },
+    },
+
+    CONFETTI: {
+        POOL_SIZE: integer('[1, inf)', 'instances'),
+        BATCH_SIZE: integer('[0, inf)', 'pieces per burst'),
+        SPAWN_RADIUS: number('(0, inf)', 'world units'),
+        EXPLOSION_POWER: number('[0, inf)', 'world units per step'),
+        VELOCITY_Y_BASE: number('(-inf, inf)', 'world units per step'),
+        VELOCITY_Y_VAR: number('[0, inf)', 'world units per step'),
+        GRAVITY: number('[0, inf)', 'world units per step²'),
+        DRAG: number('(0, 1)', 'velocity kept per step'),
+        TERMINAL_VEL: number('(0, inf)', 'world units per step'),
+        FLUTTER_SPEED: number('[0, inf)', 'rad per step'),
+        FLUTTER_AMP: number('[0, inf)', 'world units'),
+        WOBBLE_SPEED: number('[0, inf)', 'rad per step'),
+        REPULSE_RADIUS_SQ: number('[0, inf)', 'world units²'),
+        REPULSE_STRENGTH: number('[0, inf)', 'world units per step'),
+        ATTRACT_RADIUS_SQ: number('[0, inf)', 'world units²'),
+        ATTRACT_STRENGTH: number('[0, inf)', 'world units per step'),
+        LIFE_DECAY: number('(0, inf)', 'life per step'),
+        DEATH_Y: number('(-inf, inf)', 'world units'),
+        SCALE_FACTOR: number('(0, inf)'),
+        SCALE_MIN: number('(0, inf)', 'scale'),
+        SCALE_MAX: number('(0, inf)', 'scale'),
+    },
+
+    VIEWPORT: {
+        ZOOM: number('(0, inf)', 'x'),
+        TOP_OFFSET: number('(-1, 1)', 'fraction of frame height'),
+        OFFSET_X: number('(-1, 1)', 'fraction of frame width'),
+    },
+
+    PHYSICS: {
+        GRAVITY: {
+            Face: number('[0, inf)', 'px per step²'),
+            Air: number('[0, inf)', 'px per step²'),
+        },
+        WOBBLE: {
+            Speed: number('[0, inf)', 'rad per step'),
+            Amp: number('[0, inf)', 'px'),
+        },
+        BOUNDARY_Y: number('[0, 1]', 'fraction of frame height'),
+    },
+
+    TEARS: {
+        MODE: oneOf('letter', 'word', 'sentence'),
+        STRAND_SPACING: number('(0, inf)', 'px'),
+        SPAWN_RATE: number('(0, inf)', 'tears per s'),
+        POOL_SIZE: integer('[1, inf)', 'tears'),
+        MERGE_RADIUS: number('[0, inf)', 'px'),
+        MERGE_MAX_MASS: integer('[1, inf)', 'tears'),
+        MERGE_MIN_AGE: integer('[0, inf)', 'steps'),
+        PUDDLE_COLUMNS: integer('[2, inf)', 'columns'),
+        PUDDLE_VOLUME: number('[0, inf)', 'px per tear'),
+        PUDDLE_SPREAD: number('[0, 1]', 'per step'),
+        PUDDLE_EVAPORATION: number('[0, inf)', 'px per step'),
+        PUDDLE_MAX_HEIGHT: number('(0, inf)', 'px'),
+    },
+
+    EMOTION: {
+        WINDOW: integer('[1, inf)', 'characters'),
+        THRESHOLD: number('(0, inf)', 'weighted hits'),
+        NEUTRAL: string(),
+        LEXICON: record(list(string())),
+        NEGATORS: list(string()),
+        NEGATED: record(string()),
+        MOODS: record({
+            COLOR: color(),
+            SIZE: number('(0, inf)', 'px'),
+            FALL: number('(0, inf)', 'x gravity'),
+            MODE: nullable(oneOf('major', 'minor')),
+            TEMPO: number('(0, inf)', 'x tempo'),
+            ECHO_SEND: nullable(number('[0, 1]', 'gain')),
+        }),
+    },
+
+    KEEPSAKE: {
+        BACKGROUND: color(),
+        MAX_SECONDS: number('(0, inf)', 's'),
+        VIDEO_FPS: integer('[1, 120]', 'fps'),
+        VIDEO_BITRATE: integer('[1, inf)', 'bits per s'),
+        GIF_FPS: number('(0, 50]', 'fps'),
+        GIF_WIDTH: integer('[1, inf)', 'px'),
+    },
+
+    FIGURE: {
+        BLINK_MIN: number('(0, inf)', 's'),
+        BLINK_MAX: number('(0, inf)', 's'),
+        BLINK_DURATION: number('(0, inf)', 's'),
+        LID_SPEED: number('(0, inf)', 'per s'),
+        OPENNESS: {
+            idle: number('[0, 2]', 'x eye height'),
+            listening: number('[0, 2]', 'x eye height'),
+            overwhelmed: number('[0, 2]', 'x eye height'),
+        },
+        LISTEN_TIMEOUT: number('[0, inf)', 's'),
+        PRESSURE_DECAY: number('(0, inf)', 's'),
+        OVERWHELM_PRESSURE: number('(0, inf)', 'tears'),
+        OVERWHELM_TEARS: integer('[1, inf)', 'tears'),
+        OVERWHELM_HOLD: number('[0, inf)', 's'),
+        GAZE_SPEED: number('(0, inf)', 'per s'),
+        GAZE_RANGE: number('(0, inf)', 'px'),
+        PUPIL_TRAVEL: number('[0, 1]', 'fraction of eye'),
+        PUPIL_RADIUS: number('(0, inf)', 'px'),
+        GLANCE_MIN: number('(0, inf)', 's'),
+        GLANCE_MAX: number('(0, inf)', 's'),
+    },
+
+    EYES: {
+        LEFT: { x: number('[0, 1]', 'fraction of frame'), y: number('[0, 1]', 'fraction of frame') },
+        RIGHT: { x: number('[0, 1]', 'fraction of frame'), y: number('[0, 1]', 'fraction of frame') },
+        WIDTH: number('(0, 1]', 'fraction of frame'),
+        HEIGHT: number('(0, 1]', 'fraction of frame'),
+    },
+};
+
+/**
+ * Checks that span several values (run once every value fits its field).
+ */
+export const CONFIG_RULES = [
+    {
+        path: 'CONFETTI.SCALE_MIN',
+        test: c => c.CONFETTI.SCALE_MIN <= c.CONFETTI.SCALE_MAX,
+        message: 'must not exceed CONFETTI.SCALE_MAX'
+    },
+    {
+        path: 'CONFETTI.REPULSE_RADIUS_SQ',
+        test: c => c.CONFETTI.REPULSE_RADIUS_SQ <= c.CONFETTI.ATTRACT_RADIUS_SQ,
+        message: 'must not exceed CONFETTI.ATTRACT_RADIUS_SQ (the wake surrounds the hole)'
+    },
+    {
+        path: 'FIGURE.BLINK_MIN',
+        test: c => c.FIGURE.BLINK_MIN <= c.FIGURE.BLINK_MAX,
+        message: 'must not exceed FIGURE.BLINK_MAX'
+    },
+    {
+        path: 'FIGURE.GLANCE_MIN',
+        test: c => c.FIGURE.GLANCE_MIN <= c.FIGURE.GLANCE_MAX,
+        message: 'must not exceed FIGURE.GLANCE_MAX'
+    },
+    {
+        path: 'EMOTION.MOODS',
+        test: ({ EMOTION: E }) => [E.NEUTRAL, ...Object.keys(E.LEXICON), ...Object.values(E.NEGATED)]
+            .every(mood => mood in E.MOODS),
+        message: 'needs an entry for NEUTRAL and every LEXICON / NEGATED mood'
+    }
+];
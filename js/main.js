@@ -4,19 +4,62 @@
  */
 import { Mirror } from './components/Mirror.js';
 import { GalleryNav } from './components/GalleryNav.js';
-import { RubberButton } from './components/RubberButton.js';
+import { SoundControl } from './components/SoundControl.js';
+import { TuningPanel } from './components/TuningPanel.js';
+import { OverrideBadge } from './components/OverrideBadge.js';
+import { FlatButton } from './components/FlatButton.js';
+import { exhibitRegistry } from './utils/ExhibitRegistry.js';
+import { detectWebGL } from './utils/Capabilities.js';
+import { rng } from './utils/Random.js';
+import { applyOverrides, checkConfigSource, lockConfig } from './utils/ConfigStore.js';
+
+// CONFIG: validated against js/config.schema.js and frozen before anything is built
+lockConfig();
+// Duplicate keys in config.js: a developer check (one extra request), so only with ?tune
+if (new URLSearchParams(window.location.search).has('tune')) checkConfigSource();
+
+// URL OVERRIDES: ?BUTTON.body.burstStrain=3 (applied before any exhibit reads its config)
+const overrides = applyOverrides();
+
+// EXHIBITS (Display order = navigation order)
+exhibitRegistry
+    .register({
+        sectionId: 'exhibit-1',
+        title: 'The Shadow',
+        create: () => new Mirror()
+    })
+    .register({
+        sectionId: 'exhibit-2',
+        title: 'The Button',
+        layers: ['buttonCanvas'], // Canvas lives on <body> for global z-indexing
+        create: async () => {
+            const webgl = detectWebGL();
+            if (!webgl.ok) throw new Error(webgl.reason);
+
+            // Dynamic import: a failed Three.js download must not break the module graph
+            let module;
+            try {
+                module = await import('./components/RubberButton.js');
+            } catch (e) {
+                throw new Error('Three.js could not be loaded', { cause: e });
+            }
+            return new module.RubberButton();
+        },
+        fallback: (error) => new FlatButton(error.message)
+    });
 
 document.addEventListener('DOMContentLoaded', () => {
-    // 1. Init Core Systems
-    new Mirror();
-    new GalleryNav();
-
-    // 3. Init Heavy Systems (Three.js)
-    try {
-        console.log("Initializing RubberButton...");
-        window.rubberButton = new RubberButton();
-        console.log("RubberButton Initialized.");
-    } catch (e) {
-        console.error("CRITICAL: RubberButton Crash", e);
-    }
+    // 0. Every exhibit's randomness derives from this seed (replay a run with ?seed=)
+    console.info(`Gallery seed: ${rng.seed} (replay with ?seed=${rng.seed})`);
+
+    // 1. Init Exhibits (Heavy Systems like Three.js are isolated per exhibit)
+    exhibitRegistry.mountAll();
+
+    // 2. Init Navigation & Global UI
+    new GalleryNav(exhibitRegistry);
+    new SoundControl();
+
+    // 3. Dev overlays: live APP_CONFIG tuning (?tune or Alt+Shift+T), URL overrides badge
+    new TuningPanel();
+    new OverrideBadge(overrides);
 });
@@ -0,0 +1,139 @@
+/**
+ * BUTTON PHYSICS
+ * Pure soft-body math for the Button's dome (no Three.js, runs under Node).
+ * Vertex data is a flat [x, y, z, x, y, z, ...] array in the dome's local space;
+ * vectors are anything with x/y/z (THREE.Vector3 or plain objects).
+ */
+
+const DOME_HEIGHT = 66;  // Unscaled dome radius: the bulge profile peaks at half of it
+export const FLOOR_Y = -15; // Vertices never sink below the bezel
+
+/**
+ * Cauchy (Lorentzian) weight field around the grabbed vertex: 1 / (1 + (d / softness)^2).
+ * Round peak (no sharp point under the cursor), smooth tail (no hard shoulders).
+ * Vertices below the grab height are pinned progressively towards the base.
+ * @param {Float32Array} positions - Rest positions.
+ * @param {number} grabIndex - Vertex the pointer holds.
+ * @param {number} softness - Field width (px).
+ * @param {Float32Array} out - One weight per vertex, in [0, 1].
+ */
+export function calculateWeights(positions, grabIndex, softness, out) {
+    // Use the ORIGINAL position of the anchored vertex as field center
+    // This ensures the weight field moves WITH the material point, not space
+    const cx = positions[grabIndex * 3];
+    const cy = positions[grabIndex * 3 + 1];
+    const cz = positions[grabIndex * 3 + 2];
+    const grabY = Math.max(0.1, cy); // Use original Y reference
+
+    for (let i = 0; i < positions.length; i += 3) {
+        const dx = positions[i] - cx;
+        const dy = positions[i + 1] - cy;
+        const dz = positions[i + 2] - cz;
+        const x = Math.sqrt(dx * dx + dy * dy + dz * dz) / softness;
+        let w = 1.0 / (1.0 + x * x);
+
+        if (positions[i + 1] < grabY) {
+            const pin = Math.max(0, positions[i + 1] / grabY);
+            // Relaxed pinning (0.3) lets deformation fade gently down the shaft
+            w *= Math.pow(pin, 0.3);
+        }
+        out[i / 3] = w;
+    }
+    return out;
+}
+
+/**
+ * Deforms the dome by its grabs' drags (one pointer, or a two-finger
+ * pinch/stretch): weighted translation, necking when pulled up, squash plus an
+ * optional belly bulge when pushed down. Each grab pulls its own weight field;
+ * where fields overlap, a vertex moves by its strongest weight, split between
+ * the grabs in proportion, so two fingers side by side pull no harder than one.
+ * The result is the soft body's target shape (see SoftBody.stepBody).
+ * @param {Float32Array} original - Rest positions.
+ * @param {Array<{ weights: Float32Array, drag: {x: number, y: number, z: number} }>} grabs -
+ *     Weights from calculateWeights, drag in local (unscaled) units.
+ * @param {number} bulgeStrength - APP_CONFIG.BUTTON.bulgeStrength
+ * @param {Float32Array} out - Deformed positions (same layout as original).
+ */
+export function deformDomeGrabs(original, grabs, bulgeStrength, out) {
+    let globalCompression = 0;
+    const pulls = grabs.map(({ weights, drag }) => {
+        let effDragY = drag.y;
+        let radialSquash;
+
+        if (drag.y < 0) {
+            // SQUASH (Push Down)
+            effDragY *= 0.1;
+            radialSquash = -drag.y * 0.4;
+            globalCompression += -drag.y;
+        } else {
+            // NECKING (Push Up) - "Slime Strand" effect
+            // Contract the width as we stretch up (Poisson ratio)
+            // This prevents the "lipstick cylinder" look
+            radialSquash = -drag.y * 0.3;
+        }
+        return { weights, x: drag.x, y: effDragY, z: drag.z, radialSquash };
+    });
+    globalCompression = Math.min(80.0, globalCompression); // Clamped to prevent math explosion
+
+    const count = original.length / 3;
+    for (let i = 0; i < count; i++) {
+        const ox = original[i * 3];
+        const oy = original[i * 3 + 1];
+        const oz = original[i * 3 + 2];
+
+        let total = 0;
+        let strongest = 0;
+        for (const pull of pulls) {
+            const w = pull.weights[i];
+            if (!Number.isFinite(w) || w < 0.001) continue;
+            total += w;
+            strongest = Math.max(strongest, w);
+        }
+
+        if (total === 0) {
+            out[i * 3] = ox;
+            out[i * 3 + 1] = oy;
+            out[i * 3 + 2] = oz;
+            continue;
+        }
+        const share = strongest / total; // Exactly 1 for a single grab
+
+        // Global Bulge (Volumetric Spread): expands the "belly" when compressed.
+        // Sine profile peaks at mid-height so base and top don't bulge excessively
+        const profile = Math.sin((Math.max(0, oy) / DOME_HEIGHT) * Math.PI);
+        const bulge = globalCompression * bulgeStrength * 0.01 * Math.max(0, profile);
+
+        let dx = 0;
+        let dy = 0;
+        let dz = 0;
+        let squash = bulge;
+        for (const pull of pulls) {
+            const raw = pull.weights[i];
+            if (!Number.isFinite(raw) || raw < 0.001) continue;
+            const w = raw * share;
+            dx += pull.x * w;
+            dy += pull.y * w;
+            dz += pull.z * w;
+            squash += pull.radialSquash * 0.01 * w;
+        }
+
+        // SAFETY: Below -0.9 the mesh would turn inside out
+        if (squash < -0.9) squash = -0.9;
+        if (Number.isNaN(squash)) squash = 0;
+
+        let px = ox + dx + ox * squash;
+        let py = oy + dy;
+        let pz = oz + dz + oz * squash;
+
+        // Final NaN Guard - Reset to original if calculation fails
+        if (Number.isNaN(px) || Number.isNaN(py) || Number.isNaN(pz)) {
+            px = ox; py = oy; pz = oz;
+        }
+
+        out[i * 3] = px;
+        out[i * 3 + 1] = Math.max(FLOOR_Y, py);
+        out[i * 3 + 2] = pz;
+    }
+    return out;
+}
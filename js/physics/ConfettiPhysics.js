@@ -0,0 +1,104 @@
+import { APP_CONFIG } from '../config.js';
+
+/**
+ * CONFETTI PHYSICS
+ * Pure per-step integration for the Button's paper confetti (no Three.js, runs under Node).
+ * Vectors are anything with x/y/z (THREE.Vector3 or plain objects).
+ */
+
+/**
+ * Closest point on a ray ({origin, direction}, direction normalised) to a point.
+ * Points behind the origin snap to the origin (matches THREE.Ray.closestPointToPoint).
+ */
+export function closestPointOnRay(ray, point, out) {
+    const { origin, direction } = ray;
+    const t = Math.max(0,
+        (point.x - origin.x) * direction.x +
+        (point.y - origin.y) * direction.y +
+        (point.z - origin.z) * direction.z);
+
+    out.x = origin.x + direction.x * t;
+    out.y = origin.y + direction.y * t;
+    out.z = origin.z + direction.z * t;
+    return out;
+}
+
+const closest = { x: 0, y: 0, z: 0 };
+
+/**
+ * Nudges a particle along (sign 1) or against (sign -1) the direction from the pointer ray.
+ */
+function push(p, sign, strength) {
+    const dx = p.pos.x - closest.x;
+    const dy = p.pos.y - closest.y;
+    const dz = p.pos.z - closest.z;
+    const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (len === 0) return;
+
+    const k = sign * strength / len;
+    p.vel.x += dx * k;
+    p.vel.y += dy * k;
+    p.vel.z += dz * k;
+}
+
+/**
+ * Advances one live confetti particle by one step: pointer interaction, ballistic
+ * launch decaying into a paper flutter, then fade. Sets life to 0 when it dies
+ * (out of life, or below CONFETTI.DEATH_Y).
+ * @param {Object} p - Particle ({pos, vel, rot, tiltAngle, tiltAngleIncrement, wobble, wobbleIncrement, life, baseScale}).
+ * @param {{origin: Object, direction: Object}|null} ray - Pointer ray, or null for no interaction.
+ */
+export function stepConfetti(p, ray) {
+    const C = APP_CONFIG.CONFETTI;
+
+    if (ray) {
+        // Dual-Zone Interaction Logic
+        closestPointOnRay(ray, p.pos, closest);
+        const dx = p.pos.x - closest.x;
+        const dy = p.pos.y - closest.y;
+        const dz = p.pos.z - closest.z;
+        const distSq = dx * dx + dy * dy + dz * dz;
+
+        if (distSq < C.REPULSE_RADIUS_SQ) {
+            push(p, 1, C.REPULSE_STRENGTH);       // ZONE 1: REPULSION (The Hole)
+        } else if (distSq < C.ATTRACT_RADIUS_SQ) {
+            push(p, -1, C.ATTRACT_STRENGTH);      // ZONE 2: ATTRACTION (The Wake)
+        }
+    }
+
+    // PHASE 1: BALLISTIC (Launch) - Integration per fixed step
+    p.pos.x += p.vel.x;
+    p.pos.y += p.vel.y;
+    p.pos.z += p.vel.z;
+
+    // Aerodynamics
+    p.vel.y -= C.GRAVITY;
+    p.vel.x *= C.DRAG;
+    p.vel.y *= C.DRAG;
+    p.vel.z *= C.DRAG;
+
+    // Terminal Velocity Cap
+    if (p.vel.y < -C.TERMINAL_VEL) p.vel.y = -C.TERMINAL_VEL;
+
+    // PHASE 2: FLUTTER (Fall) - as upward velocity decays, flutter takes over
+    p.tiltAngle += p.tiltAngleIncrement;
+    p.wobble += p.wobbleIncrement;
+
+    // Drift based on Tilt (Simulate planing)
+    p.pos.x += Math.sin(p.tiltAngle) * C.FLUTTER_AMP * 0.1;
+    p.pos.z += Math.cos(p.tiltAngle) * C.FLUTTER_AMP * 0.1;
+
+    // Rotation: Couple rotation with flutter phase
+    p.rot.z = p.tiltAngle;
+    p.rot.x = p.wobble;
+    p.rot.y += 0.02;
+
+    // Simple Decay (No grounded logic)
+    p.life -= C.LIFE_DECAY;
+    if (p.life <= 0 || p.pos.y < C.DEATH_Y) {
+        p.life = 0; // Renderers collapse the instance
+    }
+
+    const lifeScale = Math.min(1.0, p.life * C.SCALE_FACTOR);
+    p.scale = (p.baseScale || 0.1) * lifeScale;
+}
@@ -0,0 +1,358 @@
+import { FLOOR_Y } from './ButtonPhysics.js';
+
+/**
+ * SOFT BODY
+ * Position-based dynamics for the Button's dome (no Three.js, runs under Node).
+ * A coarse lattice of rings around the pole carries the physics: surface and bend
+ * springs, a volume constraint (the air inside) and a pinned base ring. The render
+ * mesh is skinned to it (bindSkin / skinDome), so the solver cost doesn't grow
+ * with the mesh resolution. Positions are flat [x, y, z, ...] arrays in the
+ * dome's local space; one stepBody call = one fixed step (see SimulationClock).
+ */
+
+/**
+ * Signed volume enclosed by the dome and its (flat, y = 0) base.
+ * Base triangles fan from the origin and add nothing, so only the surface counts.
+ * @param {Float32Array} positions
+ * @param {Uint16Array} triangles - Outward-wound index triples.
+ * @returns {number}
+ */
+export function domeVolume(positions, triangles) {
+    let volume = 0;
+    for (let t = 0; t < triangles.length; t += 3) {
+        const a = triangles[t] * 3;
+        const b = triangles[t + 1] * 3;
+        const c = triangles[t + 2] * 3;
+        // a . (b x c) / 6
+        volume += (
+            positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) +
+            positions[a + 1] * (positions[b + 2] * positions[c] - positions[b] * positions[c + 2]) +
+            positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c])
+        ) / 6;
+    }
+    return volume;
+}
+
+/**
+ * Builds the lattice for a hemisphere of the given radius: a pole node, then
+ * `rings` rings of `segments` nodes down to the base ring (pinned) at y = 0.
+ * Laid out like SphereGeometry(radius, ..., 0, 2PI, 0, PI/2).
+ * @param {number} radius
+ * @param {{ rings?: number, segments?: number }} [resolution]
+ * @returns {Object} Body ({ rest, pos, prev, pinned, springs, triangles, restVolume, strain, ... }).
+ */
+export function createDomeBody(radius, { rings = 10, segments = 24 } = {}) {
+    const count = 1 + rings * segments;
+    const node = (r, s) => (r === 0 ? 0 : 1 + (r - 1) * segments + ((s % segments) + segments) % segments);
+
+    const rest = new Float32Array(count * 3);
+    const pinned = new Uint8Array(count);
+    rest[1] = radius;
+    for (let r = 1; r <= rings; r++) {
+        const theta = (r / rings) * (Math.PI / 2);
+        for (let s = 0; s < segments; s++) {
+            const phi = (s / segments) * Math.PI * 2;
+            const i = node(r, s) * 3;
+            rest[i] = -radius * Math.cos(phi) * Math.sin(theta);
+            rest[i + 1] = r === rings ? 0 : radius * Math.cos(theta);
+            rest[i + 2] = radius * Math.sin(phi) * Math.sin(theta);
+            if (r === rings) pinned[node(r, s)] = 1;
+        }
+    }
+
+    // SURFACE: pole fan, then two triangles per quad
+    const triangles = [];
+    for (let s = 0; s < segments; s++) triangles.push(0, node(1, s), node(1, s + 1));
+    for (let r = 1; r < rings; r++) {
+        for (let s = 0; s < segments; s++) {
+            triangles.push(node(r, s), node(r + 1, s), node(r + 1, s + 1));
+            triangles.push(node(r, s), node(r + 1, s + 1), node(r, s + 1));
+        }
+    }
+    const tris = Uint16Array.from(triangles);
+    if (domeVolume(rest, tris) < 0) {
+        for (let t = 0; t < tris.length; t += 3) [tris[t + 1], tris[t + 2]] = [tris[t + 2], tris[t + 1]];
+    }
+
+    // SPRINGS: every triangle edge stretches (and can tear); skip-one links resist folding
+    const pairs = new Map();
+    const link = (a, b, isBend) => {
+        if (a === b) return;
+        const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+        if (!pairs.has(key)) pairs.set(key, { a, b, isBend });
+    };
+    for (let t = 0; t < tris.length; t += 3) {
+        link(tris[t], tris[t + 1], false);
+        link(tris[t + 1], tris[t + 2], false);
+        link(tris[t + 2], tris[t], false);
+    }
+    for (let r = 0; r <= rings; r++) {
+        for (let s = 0; s < segments; s++) {
+            if (r + 2 <= rings) link(node(r, s), node(r + 2, s), true);
+            if (r > 0) link(node(r, s), node(r, s + 2), true);
+        }
+    }
+
+    const list = [...pairs.values()];
+    const springs = {
+        a: Uint16Array.from(list, p => p.a),
+        b: Uint16Array.from(list, p => p.b),
+        length: Float32Array.from(list, (p) => {
+            const dx = rest[p.b * 3] - rest[p.a * 3];
+            const dy = rest[p.b * 3 + 1] - rest[p.a * 3 + 1];
+            const dz = rest[p.b * 3 + 2] - rest[p.a * 3 + 2];
+            return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        }),
+        isBend: Uint8Array.from(list, p => (p.isBend ? 1 : 0))
+    };
+
+    return {
+        rings,
+        segments,
+        count,
+        rest,
+        pos: Float32Array.from(rest),
+        prev: Float32Array.from(rest), // Last step (Verlet velocity, render interpolation)
+        pinned,
+        springs,
+        triangles: tris,
+        restVolume: domeVolume(rest, tris),
+        gradient: new Float32Array(count * 3), // Scratch (volume constraint)
+        strain: 0,
+        isResting: true
+    };
+}
+
+/**
+ * @returns {number} The body node closest to a rest-space point.
+ */
+export function nearestNode(body, x, y, z) {
+    let best = 0;
+    let bestSq = Infinity;
+    for (let i = 0; i < body.count; i++) {
+        const dx = body.rest[i * 3] - x;
+        const dy = body.rest[i * 3 + 1] - y;
+        const dz = body.rest[i * 3 + 2] - z;
+        const dSq = dx * dx + dy * dy + dz * dz;
+        if (dSq < bestSq) {
+            bestSq = dSq;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Maps every render vertex onto the lattice: four nodes and bilinear weights in
+ * (ring, segment) space, found from the vertex's angles on the rest dome.
+ * @param {Object} body - From createDomeBody.
+ * @param {Float32Array} positions - Render mesh rest positions.
+ * @returns {{ nodes: Uint16Array, weights: Float32Array }}
+ */
+export function bindSkin(body, positions) {
+    const { rings, segments } = body;
+    const node = (r, s) => (r === 0 ? 0 : 1 + (r - 1) * segments + (s % segments));
+    const count = positions.length / 3;
+    const nodes = new Uint16Array(count * 4);
+    const weights = new Float32Array(count * 4);
+
+    for (let v = 0; v < count; v++) {
+        const x = positions[v * 3];
+        const y = positions[v * 3 + 1];
+        const z = positions[v * 3 + 2];
+        const radius = Math.sqrt(x * x + y * y + z * z) || 1;
+
+        const theta = Math.acos(Math.max(-1, Math.min(1, y / radius)));
+        let phi = Math.atan2(z, -x);
+        if (phi < 0) phi += Math.PI * 2;
+
+        const rf = Math.min(rings, Math.max(0, (theta / (Math.PI / 2)) * rings));
+        const sf = (phi / (Math.PI * 2)) * segments;
+        const r0 = Math.min(rings - 1, Math.floor(rf));
+        const s0 = Math.floor(sf) % segments;
+        const tr = rf - r0;
+        const ts = sf - Math.floor(sf);
+
+        const o = v * 4;
+        nodes[o] = node(r0, s0);
+        nodes[o + 1] = node(r0, s0 + 1);
+        nodes[o + 2] = node(r0 + 1, s0);
+        nodes[o + 3] = node(r0 + 1, s0 + 1);
+        weights[o] = (1 - tr) * (1 - ts);
+        weights[o + 1] = (1 - tr) * ts;
+        weights[o + 2] = tr * (1 - ts);
+        weights[o + 3] = tr * ts;
+    }
+    return { nodes, weights };
+}
+
+function projectSprings(body, stiffness) {
+    const { pos, pinned, springs } = body;
+    for (let k = 0; k < springs.length.length; k++) {
+        const a = springs.a[k] * 3;
+        const b = springs.b[k] * 3;
+        const wa = pinned[springs.a[k]] ? 0 : 1;
+        const wb = pinned[springs.b[k]] ? 0 : 1;
+        if (wa + wb === 0) continue;
+
+        const dx = pos[b] - pos[a];
+        const dy = pos[b + 1] - pos[a + 1];
+        const dz = pos[b + 2] - pos[a + 2];
+        const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (len < 1e-6) continue;
+
+        const corr = stiffness * (len - springs.length[k]) / (len * (wa + wb));
+        pos[a] += wa * corr * dx; pos[a + 1] += wa * corr * dy; pos[a + 2] += wa * corr * dz;
+        pos[b] -= wb * corr * dx; pos[b + 1] -= wb * corr * dy; pos[b + 2] -= wb * corr * dz;
+    }
+}
+
+function projectVolume(body, pressure) {
+    const { pos, pinned, triangles, gradient } = body;
+    gradient.fill(0);
+
+    // dV/dp for each corner: (other two corners' cross product) / 6
+    for (let t = 0; t < triangles.length; t += 3) {
+        const a = triangles[t] * 3;
+        const b = triangles[t + 1] * 3;
+        const c = triangles[t + 2] * 3;
+        gradient[a] += (pos[b + 1] * pos[c + 2] - pos[b + 2] * pos[c + 1]) / 6;
+        gradient[a + 1] += (pos[b + 2] * pos[c] - pos[b] * pos[c + 2]) / 6;
+        gradient[a + 2] += (pos[b] * pos[c + 1] - pos[b + 1] * pos[c]) / 6;
+        gradient[b] += (pos[c + 1] * pos[a + 2] - pos[c + 2] * pos[a + 1]) / 6;
+        gradient[b + 1] += (pos[c + 2] * pos[a] - pos[c] * pos[a + 2]) / 6;
+        gradient[b + 2] += (pos[c] * pos[a + 1] - pos[c + 1] * pos[a]) / 6;
+        gradient[c] += (pos[a + 1] * pos[b + 2] - pos[a + 2] * pos[b + 1]) / 6;
+        gradient[c + 1] += (pos[a + 2] * pos[b] - pos[a] * pos[b + 2]) / 6;
+        gradient[c + 2] += (pos[a] * pos[b + 1] - pos[a + 1] * pos[b]) / 6;
+    }
+
+    let denominator = 0;
+    for (let i = 0; i < body.count; i++) {
+        if (pinned[i]) continue;
+        const g = i * 3;
+        denominator += gradient[g] * gradient[g] + gradient[g + 1] * gradient[g + 1] + gradient[g + 2] * gradient[g + 2];
+    }
+    if (denominator < 1e-9) return;
+
+    const scale = -pressure * (domeVolume(pos, triangles) - body.restVolume) / denominator;
+    for (let i = 0; i < body.count; i++) {
+        if (pinned[i]) continue;
+        const g = i * 3;
+        pos[g] += scale * gradient[g];
+        pos[g + 1] += scale * gradient[g + 1];
+        pos[g + 2] += scale * gradient[g + 2];
+    }
+}
+
+/**
+ * Largest stretch of any surface spring (0 at rest, 0.5 = half again as long).
+ * Bend links are left out: they measure folding, not tearing.
+ */
+export function maxStrain(body) {
+    const { pos, springs } = body;
+    let strain = 0;
+    for (let k = 0; k < springs.length.length; k++) {
+        if (springs.isBend[k]) continue;
+        const a = springs.a[k] * 3;
+        const b = springs.b[k] * 3;
+        const dx = pos[b] - pos[a];
+        const dy = pos[b + 1] - pos[a + 1];
+        const dz = pos[b + 2] - pos[a + 2];
+        strain = Math.max(strain, Math.sqrt(dx * dx + dy * dy + dz * dz) / springs.length[k] - 1);
+    }
+    return strain;
+}
+
+/**
+ * Advances the body one fixed step: Verlet integration with damping, then
+ * `iterations` rounds of springs, volume, grip and floor.
+ * @param {Object} body - From createDomeBody (mutated; body.strain is updated).
+ * @param {Float32Array|null} targets - Where the hands hold each node (null: no grab).
+ * @param {Float32Array|null} grip - Per node, how strongly it is pulled to its target per iteration [0, 1].
+ * @param {{ stiffness: number, damping: number, pressure: number, iterations: number }} config - APP_CONFIG.BUTTON.body
+ * @returns {number} body.strain (see maxStrain).
+ */
+export function stepBody(body, targets, grip, { stiffness, damping, pressure, iterations }) {
+    const { pos, prev, pinned } = body;
+    body.isResting = false;
+
+    for (let i = 0; i < body.count * 3; i++) {
+        if (pinned[Math.floor(i / 3)]) continue;
+        const velocity = (pos[i] - prev[i]) * damping;
+        prev[i] = pos[i];
+        pos[i] += velocity;
+    }
+
+    for (let n = 0; n < iterations; n++) {
+        projectSprings(body, stiffness);
+        if (pressure > 0) projectVolume(body, pressure);
+
+        for (let i = 0; i < body.count; i++) {
+            if (pinned[i]) continue;
+            const g = i * 3;
+            if (targets && grip[i] > 0) {
+                pos[g] += (targets[g] - pos[g]) * grip[i];
+                pos[g + 1] += (targets[g + 1] - pos[g + 1]) * grip[i];
+                pos[g + 2] += (targets[g + 2] - pos[g + 2]) * grip[i];
+            }
+            if (pos[g + 1] < FLOOR_Y) pos[g + 1] = FLOOR_Y; // Never below the bezel
+        }
+    }
+
+    // NaN guard: a poisoned node goes back to rest instead of spreading
+    for (let i = 0; i < body.count * 3; i++) {
+        if (!Number.isFinite(pos[i])) pos[i] = prev[i] = body.rest[i];
+    }
+
+    body.strain = maxStrain(body);
+    return body.strain;
+}
+
+/**
+ * Puts the body back at rest (exactly) once nothing holds it and it has stopped moving.
+ * @param {number} [tolerance=0.05] - Largest offset from rest / motion per step (px) that counts as still.
+ * @returns {boolean} body.isResting.
+ */
+export function settleBody(body, tolerance = 0.05) {
+    const { pos, prev, rest } = body;
+    for (let i = 0; i < pos.length; i++) {
+        if (Math.abs(pos[i] - rest[i]) > tolerance || Math.abs(pos[i] - prev[i]) > tolerance) return false;
+    }
+    pos.set(rest);
+    prev.set(rest);
+    body.strain = 0;
+    body.isResting = true;
+    return true;
+}
+
+/**
+ * Writes the render mesh: rest positions plus the lattice's displacement, skinned.
+ * @param {Object} body
+ * @param {{ nodes: Uint16Array, weights: Float32Array }} skin - From bindSkin.
+ * @param {Float32Array} original - Render mesh rest positions.
+ * @param {Float32Array} out - Deformed render positions.
+ * @param {number} [alpha=1] - Blend between previous and current step.
+ */
+export function skinDome(body, skin, original, out, alpha = 1) {
+    const { pos, prev, rest } = body;
+    const count = original.length / 3;
+
+    for (let v = 0; v < count; v++) {
+        let dx = 0;
+        let dy = 0;
+        let dz = 0;
+        for (let k = v * 4; k < v * 4 + 4; k++) {
+            const w = skin.weights[k];
+            if (w === 0) continue;
+            const n = skin.nodes[k] * 3;
+            dx += w * (prev[n] + (pos[n] - prev[n]) * alpha - rest[n]);
+            dy += w * (prev[n + 1] + (pos[n + 1] - prev[n + 1]) * alpha - rest[n + 1]);
+            dz += w * (prev[n + 2] + (pos[n + 2] - prev[n + 2]) * alpha - rest[n + 2]);
+        }
+        out[v * 3] = original[v * 3] + dx;
+        out[v * 3 + 1] = Math.max(FLOOR_Y, original[v * 3 + 1] + dy);
+        out[v * 3 + 2] = original[v * 3 + 2] + dz;
+    }
+    return out;
+}
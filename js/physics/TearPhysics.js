@@ -0,0 +1,59 @@
+import { APP_CONFIG } from '../config.js';
+
+/**
+ * TEAR PHYSICS
+ * Pure per-step integration for the Mirror's tears (no DOM, runs under Node).
+ * Positions are canvas CSS pixels; one call = one fixed step (see SimulationClock).
+ */
+
+/**
+ * The face a tear runs down, derived from the Mirror's image layout.
+ * @param {{x: number, y: number, w: number, h: number}} layout
+ * @returns {{ top: number, centerX: number, chinY: number }}
+ */
+export function faceFromLayout(layout) {
+    return {
+        top: layout.y,
+        centerX: layout.x + layout.w / 2,
+        chinY: layout.y + (APP_CONFIG.PHYSICS.BOUNDARY_Y * layout.h)
+    };
+}
+
+/**
+ * Strands stretch with the distance they have fallen (up to TEARS.STRAND_SPACING).
+ */
+export function stretchStrand(strand) {
+    strand.prevStretch = strand.stretch;
+    strand.stretch = Math.min(APP_CONFIG.TEARS.STRAND_SPACING, (strand.y - strand.startY) / (strand.chars.length - 1));
+}
+
+/**
+ * Advances one tear (or strand head) by one step.
+ * On the face it trickles along a wobbling path; past the chin it falls freely.
+ * @param {Object} p - Tear ({x, y, vy, originX, life, angle, onFace, fall}).
+ * @param {{ top: number, centerX: number, chinY: number }} face
+ */
+export function integrateTear(p, face) {
+    const { GRAVITY, WOBBLE } = APP_CONFIG.PHYSICS;
+    p.prevX = p.x; p.prevY = p.y; p.prevAngle = p.angle;
+
+    if (p.onFace) {
+        if (p.y > face.chinY) {
+            p.onFace = false; // Fell off chin
+        } else {
+            if (p.vy < 2.0 * p.fall) p.vy += GRAVITY.Face * p.fall;
+
+            const distY = p.y - face.top;
+            const wobble = Math.sin(distY * WOBBLE.Speed) * WOBBLE.Amp;
+            const dir = p.originX < face.centerX ? -1 : 1;
+            p.x = p.originX + (wobble * dir);
+        }
+    } else {
+        p.vy += GRAVITY.Air * p.fall;
+        p.x += Math.sin(p.y * 0.02) * 0.5;
+    }
+
+    p.y += p.vy;
+    p.life -= 0.003;
+    p.angle += 0.01;
+}
@@ -1,90 +1,321 @@
+import { APP_CONFIG } from '../config.js';
+import { shiftMode } from './Score.js';
+import { rng } from './Random.js';
+import { setConfig } from './ConfigStore.js';
+
+const PREFS_KEY = 'gallery.audio';
+const MAX_ECHO_DELAY = 2.0;     // Seconds (DelayNode buffer size)
+const MAX_ECHO_FEEDBACK = 0.95; // Keeps the loop from running away
+const MAX_ECHO_WET = 2.0;
+
+const GESTURES = ['pointerdown', 'keydown', 'touchstart'];
+
 /**
  * AUDIO MANAGER
  * Handles web audio context, oscillator generation, and musical scales.
+ *
+ * The context is injectable: pass one in (e.g. an OfflineAudioContext, see renderOffline),
+ * or let the manager create a live AudioContext on the visitor's first gesture.
+ * Sounds requested before then are skipped, so importing this module never
+ * trips the browser's autoplay policy.
  */
 export class AudioManager {
-    constructor() {
-        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    /**
+     * @param {Object} [options]
+     * @param {BaseAudioContext} [options.context] - Context to render into (skips the gesture wait).
+     * @param {boolean} [options.persist=true] - Restore/save the visitor's volume in localStorage.
+     */
+    constructor({ context = null, persist = true } = {}) {
+        this.ctx = null;
+        this.isOffline = false;
+        this.persist = persist;
+
+        // Visitor Preferences (restored before the first sound can play)
+        const prefs = persist ? this.loadPreferences() : { volume: APP_CONFIG.AUDIO.MASTER_VOLUME, muted: false };
+        this.volume = prefs.volume;
+        this.muted = prefs.muted;
+
+        // Keystroke Sequencer (score loaded via MelodyLibrary, see setMelody)
+        this.score = null;
+        this.melodyIndex = 0;
+        this.mood = { mode: null, tempo: 1, echoSend: null }; // See setMood
+
+        this.activeNotes = new Map();
+        this.noteCounter = 0;
+
+        if (context) this.attach(context);
+        else this.unlockOnGesture();
+
+        // Live tuning (setConfig): the echo bus caches its levels in AudioParams
+        if (typeof window !== 'undefined') {
+            window.addEventListener('config-changed', (e) => {
+                if (e.detail.path.startsWith('AUDIO.ECHO_')) this.applyEchoConfig();
+            });
+        }
+    }
+
+    /**
+     * Builds the audio graph on a context (live or offline).
+     * @param {BaseAudioContext} context
+     */
+    attach(context) {
+        this.ctx = context;
+        this.isOffline = typeof context.startRendering === 'function';
+
         this.masterGain = this.ctx.createGain();
-        this.masterGain.gain.value = 0.8; // TUNED: Max Volume
+        this.masterGain.gain.value = this.muted ? 0 : this.volume;
         this.masterGain.connect(this.ctx.destination);
 
         // Noise Buffer for "Breath" sounds
         this.noiseBuffer = this.createNoiseBuffer();
 
-        // Note Frequency Map (A4 = 440Hz)
-        this.NOTE_FREQS = {
-            'C3': 130.81, 'C#3': 138.59, 'D3': 146.83, 'D#3': 155.56, 'E3': 164.81, 'F3': 174.61, 'F#3': 185.00, 'G3': 196.00, 'G#3': 207.65, 'A3': 220.00, 'A#3': 233.08, 'B3': 246.94,
-            'C4': 261.63, 'C#4': 277.18, 'D4': 293.66, 'D#4': 311.13, 'E4': 329.63, 'F4': 349.23, 'F#4': 369.99, 'G4': 392.00, 'G#4': 415.30, 'A4': 440.00, 'A#4': 466.16, 'B4': 493.88,
-            'C5': 523.25, 'C#5': 554.37, 'D5': 587.33, 'D#5': 622.25, 'E5': 659.25, 'F5': 698.46, 'F#5': 739.99, 'G5': 783.99, 'G#5': 830.61, 'A5': 880.00, 'A#5': 932.33, 'B5': 987.77,
-            'C6': 1046.50, 'D6': 1174.66, 'E6': 1318.51, 'F6': 1396.91
-        };
-
-        // Fur Elise (Full A-B-A Form)
-        this.melody = [
-            // --- SECTION A (Theme) ---
-            'E5', 'D#5', 'E5', 'D#5', 'E5', 'B4', 'D5', 'C5', 'A4',
-            'C4', 'E4', 'A4', 'B4',
-            'E4', 'G#4', 'B4', 'C5',
-            'E4', 'E5', 'D#5', 'E5', 'D#5', 'E5', 'B4', 'D5', 'C5', 'A4',
-            'C4', 'E4', 'A4', 'B4',
-            'E4', 'C5', 'B4', 'A4',
-
-            // --- SECTION A (Repeat Removed for Variety) ---
-            // Direct to Transition
-            'B4', 'C5', 'D5', 'E5', // Transition to B
-
-            // --- SECTION B (F Major / C Major) ---
-            'G4', 'F5', 'E5', 'D5', // F Major Arp-ish
-            'F4', 'E5', 'D5', 'C5',
-            'F4', 'D5', 'C5', 'B4',
-            'G4', 'F#5', 'F5', // Chromatic slide? Simplified B section
-            'E5', 'D#5', 'E5', 'B4', 'E5', 'B4', 'E5', 'B4', // Oscillating transition back to A
-
-            // --- SECTION A (Reprise) ---
-            'E5', 'D#5', 'E5', 'D#5', 'E5', 'B4', 'D5', 'C5', 'A4',
-            'C4', 'E4', 'A4', 'B4',
-            'E4', 'G#4', 'B4', 'C5',
-            'E4', 'E5', 'D#5', 'E5', 'D#5', 'E5', 'B4', 'D5', 'C5', 'A4',
-            'C4', 'E4', 'A4', 'B4',
-            'E4', 'C5', 'B4', 'A4'
-        ];
-        this.melodyIndex = 0;
-
-        // Echo / Delay System
-        this.delayNode = this.ctx.createDelay();
-        this.delayNode.delayTime.value = 0.4;
+        // Echo / Delay System (Bus: send -> delay <-> feedback, delay -> wet -> master)
+        const A = APP_CONFIG.AUDIO;
+        this.delayNode = this.ctx.createDelay(MAX_ECHO_DELAY);
+        this.delayNode.delayTime.value = A.ECHO_DELAY;
         this.feedbackGain = this.ctx.createGain();
         this.wetGain = this.ctx.createGain();
         this.delayNode.connect(this.feedbackGain);
         this.feedbackGain.connect(this.delayNode);
         this.delayNode.connect(this.wetGain);
         this.wetGain.connect(this.masterGain);
-        this.feedbackGain.gain.value = 0.5;
-        this.wetGain.gain.value = 0.4;
+        this.feedbackGain.gain.value = Math.min(A.ECHO_FEEDBACK, MAX_ECHO_FEEDBACK);
+        this.wetGain.gain.value = A.ECHO_WET;
+    }
 
-        this.activeNotes = new Map();
-        this.noteCounter = 0;
+    /**
+     * Browsers only allow audio after a user gesture: create the context on the first one.
+     */
+    unlockOnGesture() {
+        if (typeof window === 'undefined') return;
+
+        const unlock = () => {
+            GESTURES.forEach(type => window.removeEventListener(type, unlock, true));
+            this.unlock();
+        };
+        // Capture phase: runs before the gesture's own handlers try to play anything
+        GESTURES.forEach(type => window.addEventListener(type, unlock, true));
+    }
+
+    /**
+     * Creates (if needed) and resumes the live context. Call from a user gesture.
+     */
+    unlock() {
+        if (!this.ctx) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            this.attach(new AudioContextClass());
+        }
+        this.resume();
+    }
+
+    /**
+     * Renders sounds into a buffer instead of the speakers (automated tests, exports).
+     * Visitor preferences are ignored: the render uses AUDIO.MASTER_VOLUME, unmuted.
+     * @param {Object} options
+     * @param {number} options.duration - Seconds.
+     * @param {number} [options.sampleRate=44100]
+     * @param {number} [options.channels=1]
+     * @param {Function} [options.OfflineContext] - Defaults to the global OfflineAudioContext.
+     * @param {Array<{ time: number, play: function(AudioManager) }>} cues - What to play, and when (seconds).
+     * @returns {Promise<AudioBuffer>}
+     */
+    static renderOffline({ duration, sampleRate = 44100, channels = 1, OfflineContext = globalThis.OfflineAudioContext }, cues) {
+        const context = new OfflineContext(channels, Math.ceil(duration * sampleRate), sampleRate);
+        const manager = new AudioManager({ context, persist: false });
+
+        // One suspend per moment (a context can only pause once at a given time)
+        const moments = new Map();
+        cues.forEach(({ time, play }) => {
+            const t = Math.max(0, time);
+            if (!moments.has(t)) moments.set(t, []);
+            moments.get(t).push(play);
+        });
+
+        let failure = null; // First cue that threw (rejects the render once it ends)
+        moments.forEach((plays, time) => {
+            if (time === 0) {
+                plays.forEach(play => play(manager));
+                return;
+            }
+            // Pause the render at the cue, play, carry on (even if a cue throws, or it never ends)
+            context.suspend(time)
+                .then(() => plays.forEach(play => play(manager)))
+                .catch((e) => { failure = failure || e; })
+                .finally(() => context.resume());
+        });
+
+        return context.startRendering().then((buffer) => {
+            if (failure) throw failure;
+            return buffer;
+        });
     }
 
     createNoiseBuffer() {
         const bufferSize = this.ctx.sampleRate * 2.0;
         const buffer = this.ctx.createBuffer(1, bufferSize, this.ctx.sampleRate);
         const data = buffer.getChannelData(0);
+        const random = rng.stream('noise');
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = (Math.random() * 2 - 1) * 0.5;
+            data[i] = (random.next() * 2 - 1) * 0.5;
         }
         return buffer;
     }
 
+    // -------------------------------------------------------------------------
+    // MASTER VOLUME & MUTE
+    // -------------------------------------------------------------------------
+    loadPreferences() {
+        const defaults = { volume: APP_CONFIG.AUDIO.MASTER_VOLUME, muted: false };
+        try {
+            const stored = JSON.parse(localStorage.getItem(PREFS_KEY));
+            if (!stored) return defaults;
+            return {
+                volume: Number.isFinite(stored.volume) ? Math.min(1, Math.max(0, stored.volume)) : defaults.volume,
+                muted: stored.muted === true
+            };
+        } catch (e) {
+            return defaults; // Storage blocked (private mode) or corrupted
+        }
+    }
+
+    savePreferences() {
+        if (!this.persist) return;
+        try {
+            localStorage.setItem(PREFS_KEY, JSON.stringify({ volume: this.volume, muted: this.muted }));
+        } catch (e) {
+            // Storage unavailable: preference lasts for this visit only
+        }
+    }
+
+    /**
+     * Ramps the master gain to the current volume/mute state (no clicks).
+     */
+    applyGain() {
+        if (this.ctx) {
+            const target = this.muted ? 0 : this.volume;
+            const gain = this.masterGain.gain;
+            const t = this.ctx.currentTime;
+            gain.cancelScheduledValues(t);
+            gain.setValueAtTime(gain.value, t);
+            gain.linearRampToValueAtTime(target, t + APP_CONFIG.AUDIO.GAIN_RAMP);
+        }
+
+        this.savePreferences();
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('audio-preferences-changed', {
+            detail: { volume: this.volume, muted: this.muted }
+        }));
+    }
+
+    /**
+     * @param {number} value - Master volume, 0..1.
+     */
+    setVolume(value) {
+        this.volume = Math.min(1, Math.max(0, Number(value) || 0));
+        this.applyGain();
+    }
+
+    getVolume() {
+        return this.volume;
+    }
+
+    mute() {
+        this.muted = true;
+        this.applyGain();
+    }
+
+    unmute() {
+        this.muted = false;
+        this.applyGain();
+    }
+
+    toggleMute() {
+        if (this.muted) this.unmute();
+        else this.mute();
+    }
+
+    isMuted() {
+        return this.muted;
+    }
+
+    // -------------------------------------------------------------------------
+    // ECHO BUS
+    // -------------------------------------------------------------------------
+    /**
+     * Retunes the echo bus at runtime. Omitted values keep their current setting.
+     * Persists into APP_CONFIG.AUDIO (via setConfig) so later reads see the same values.
+     * @param {Object} params
+     * @param {number} [params.delay] - Seconds between repeats (0..2).
+     * @param {number} [params.feedback] - Repeat level (0..0.95).
+     * @param {number} [params.wet] - Bus return level into the master (0..2).
+     */
+    setEcho({ delay, feedback, wet } = {}) {
+        if (delay !== undefined) setConfig('AUDIO.ECHO_DELAY', Math.min(MAX_ECHO_DELAY, Math.max(0, delay)));
+        if (feedback !== undefined) setConfig('AUDIO.ECHO_FEEDBACK', Math.min(MAX_ECHO_FEEDBACK, Math.max(0, feedback)));
+        if (wet !== undefined) setConfig('AUDIO.ECHO_WET', Math.min(MAX_ECHO_WET, Math.max(0, wet)));
+        this.applyEchoConfig();
+    }
+
+    /**
+     * Glides the echo bus to the values in APP_CONFIG.AUDIO.
+     */
+    applyEchoConfig() {
+        if (!this.ctx) return; // attach() reads the config when the context arrives
+        const A = APP_CONFIG.AUDIO;
+        const t = this.ctx.currentTime;
+        const glide = A.GAIN_RAMP / 3; // setTargetAtTime reaches ~95% after 3 time constants
+        this.delayNode.delayTime.setTargetAtTime(Math.min(A.ECHO_DELAY, MAX_ECHO_DELAY), t, glide);
+        this.feedbackGain.gain.setTargetAtTime(Math.min(A.ECHO_FEEDBACK, MAX_ECHO_FEEDBACK), t, glide);
+        this.wetGain.gain.setTargetAtTime(A.ECHO_WET, t, glide);
+    }
+
+    /**
+     * Routes a node into the echo bus at the given level.
+     */
+    sendToEcho(node, level) {
+        if (!(level > 0)) return;
+        const send = this.ctx.createGain();
+        send.gain.value = level;
+        node.connect(send);
+        send.connect(this.delayNode);
+    }
+
+    /**
+     * Taps the master output into a MediaStream (e.g. to mix the melody into a recording).
+     * Follows master volume/mute, so a muted visitor records silence.
+     * @returns {MediaStreamAudioDestinationNode|null} Pass back to releaseCaptureStream().
+     */
+    createCaptureStream() {
+        if (!this.ctx || !this.ctx.createMediaStreamDestination) return null;
+        const destination = this.ctx.createMediaStreamDestination();
+        this.masterGain.connect(destination);
+        return destination;
+    }
+
+    releaseCaptureStream(destination) {
+        if (!destination) return;
+        this.masterGain.disconnect(destination);
+        destination.stream.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * Wakes a suspended live context.
+     * @returns {boolean} False while there is no context yet (the sound should be skipped).
+     */
     resume() {
-        if (this.ctx.state === 'suspended') {
+        if (!this.ctx) return false;
+        if (!this.isOffline && this.ctx.state === 'suspended') {
             this.ctx.resume();
         }
+        return true;
     }
 
-    playPop() {
-        this.resume();
+    /**
+     * @param {number} [echoSend] - Level sent to the echo bus (defaults to AUDIO.SEND_POP).
+     */
+    playPop(echoSend = APP_CONFIG.AUDIO.SEND_POP) {
+        if (!this.resume()) return;
         const t = this.ctx.currentTime;
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
@@ -103,12 +334,18 @@ export class AudioManager {
         noise.connect(noiseGain);
         noiseGain.connect(this.masterGain);
 
+        this.sendToEcho(gain, echoSend);
+        this.sendToEcho(noiseGain, echoSend);
+
         osc.start(); osc.stop(t + 0.1);
         noise.start(); noise.stop(t + 0.1);
     }
 
-    playSadSigh() {
-        this.resume();
+    /**
+     * @param {number} [echoSend] - Level sent to the echo bus (defaults to AUDIO.SEND_SIGH).
+     */
+    playSadSigh(echoSend = APP_CONFIG.AUDIO.SEND_SIGH) {
+        if (!this.resume()) return;
         const t = this.ctx.currentTime;
         const dur = 2.0;
         const fundamental = 450;
@@ -140,35 +377,94 @@ export class AudioManager {
         osc3.connect(gainNode);
 
         gainNode.connect(this.masterGain);
-
-        const echoSend = this.ctx.createGain();
-        echoSend.gain.value = 0.7;
-        gainNode.connect(echoSend);
-        echoSend.connect(this.delayNode);
+        this.sendToEcho(gainNode, echoSend);
 
         osc1.start(); osc2.start(); osc3.start();
         osc1.stop(t + dur + 0.5); osc2.stop(t + dur + 0.5); osc3.stop(t + dur + 0.5);
     }
 
-    playNextNote() {
-        const noteName = this.melody[this.melodyIndex % this.melody.length];
+    /**
+     * @param {Object} score - Parsed score (see Score.js / MelodyLibrary.loadMelody).
+     */
+    setMelody(score) {
+        this.score = score;
+        this.resetMelody();
+    }
+
+    /**
+     * Re-colours the sequencer to match what is being typed.
+     * @param {Object} [mood]
+     * @param {string|null} [mood.mode] - 'major' | 'minor', or null to play the score as written.
+     * @param {number} [mood.tempo=1] - Tempo multiplier (2 = notes last half as long).
+     * @param {number|null} [mood.echoSend] - Echo level for notes, or null for AUDIO.SEND_NOTE.
+     */
+    setMood({ mode = null, tempo = 1, echoSend = null } = {}) {
+        this.mood = { mode, tempo: tempo > 0 ? tempo : 1, echoSend };
+    }
+
+    /**
+     * "Letting go": a bell that glides down an octave, used when Enter releases
+     * everything typed at once.
+     * @param {number} [echoSend] - Level sent to the echo bus (defaults to AUDIO.SEND_SIGH).
+     */
+    playRelease(echoSend = APP_CONFIG.AUDIO.SEND_SIGH) {
+        if (!this.resume()) return;
+        const t = this.ctx.currentTime;
+        const dur = 1.5;
+
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(0.001, t);
+        gain.gain.exponentialRampToValueAtTime(0.3, t + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + dur);
+        gain.connect(this.masterGain);
+        this.sendToEcho(gain, echoSend);
+
+        // Root + fifth, both falling an octave
+        [880, 1318.5].forEach((freq, i) => {
+            const osc = this.ctx.createOscillator();
+            osc.type = i === 0 ? 'sine' : 'triangle';
+            osc.frequency.setValueAtTime(freq, t);
+            osc.frequency.exponentialRampToValueAtTime(freq / 2, t + dur);
+            osc.connect(gain);
+            osc.start(t);
+            osc.stop(t + dur);
+        });
+    }
+
+    /**
+     * Plays the next event of the current score: a note, a chord, or a (silent) rest.
+     * Each pitch rings for its written duration at the score's tempo, shaped by the current mood.
+     * @param {number} [echoSend] - Level sent to the echo bus (defaults to the mood's, then AUDIO.SEND_NOTE).
+     * @returns {Object|null} The event played, or null if no score is loaded.
+     */
+    playNextNote(echoSend = this.mood.echoSend ?? APP_CONFIG.AUDIO.SEND_NOTE) {
+        if (!this.score) return null;
+        const events = this.score.events;
+        const event = events[this.melodyIndex % events.length];
         this.melodyIndex++;
 
-        let freq = 440;
-        if (this.NOTE_FREQS[noteName]) {
-            freq = this.NOTE_FREQS[noteName];
-        } else if (typeof noteName === 'number') {
-            freq = noteName;
-        }
-        this.playTone(freq, 'sine', 0.8, 0.25);
+        if (event.rest) return event;
+
+        const { key, wave, secondsPerBeat } = this.score;
+        const { mode, tempo } = this.mood;
+        const duration = event.beats * secondsPerBeat / tempo;
+        const vol = 0.25 / Math.sqrt(event.frequencies.length); // Chords stay level with single notes
+        event.frequencies.forEach(freq => {
+            const pitch = mode ? shiftMode(freq, key, mode) : freq;
+            this.playTone(pitch, wave, duration, vol, echoSend);
+        });
+        return event;
     }
 
     resetMelody() {
         this.melodyIndex = 0;
     }
 
-    playTone(freq, type, duration, vol = 0.5) {
-        this.resume();
+    /**
+     * @param {number} [echoSend] - Level sent to the echo bus (defaults to AUDIO.SEND_TONE).
+     */
+    playTone(freq, type, duration, vol = 0.5, echoSend = APP_CONFIG.AUDIO.SEND_TONE) {
+        if (!this.resume()) return;
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
         osc.type = type;
@@ -177,6 +473,7 @@ export class AudioManager {
         gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + duration);
         osc.connect(gain);
         gain.connect(this.masterGain);
+        this.sendToEcho(gain, echoSend);
         osc.start();
         osc.stop(this.ctx.currentTime + duration);
     }
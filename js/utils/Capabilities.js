@@ -0,0 +1,28 @@
+/**
+ * CAPABILITIES
+ * Feature probes run before heavy exhibits are loaded.
+ */
+
+/**
+ * Checks whether a WebGL context can be created.
+ * Uses a throwaway canvas so the real canvas stays free for a 2D fallback.
+ * @returns {{ ok: boolean, reason: string }}
+ */
+export function detectWebGL() {
+    if (typeof window.WebGLRenderingContext === 'undefined') {
+        return { ok: false, reason: 'WebGL is not supported by this browser' };
+    }
+
+    try {
+        const probe = document.createElement('canvas');
+        const gl = probe.getContext('webgl2') || probe.getContext('webgl');
+        if (!gl) return { ok: false, reason: 'WebGL is disabled or unavailable' };
+
+        // Release the probe context immediately (browsers cap live contexts)
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+        return { ok: true, reason: '' };
+    } catch (e) {
+        return { ok: false, reason: `WebGL context creation failed (${e.message})` };
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * CONFIG SCHEMA
+ * Declarative types, ranges and units for APP_CONFIG. The schema itself lives in
+ * js/config.schema.js, built from the field helpers below; plain objects in it are
+ * sections, Field instances are values.
+ *
+ * Ranges use interval notation: '[0, 1)' accepts 0 but not 1, 'inf' is unbounded.
+ */
+
+const INTERVAL = /^([[(])\s*(-?inf|[-+.\de]+)\s*,\s*(-?inf|[-+.\de]+)\s*([\])])$/;
+
+function parseBound(text) {
+    if (text === 'inf') return Infinity;
+    if (text === '-inf') return -Infinity;
+    return Number(text);
+}
+
+function parseRange(text) {
+    const match = INTERVAL.exec(text);
+    if (!match) throw new Error(`ConfigSchema: bad range "${text}"`);
+    return {
+        text,
+        min: parseBound(match[2]),
+        max: parseBound(match[3]),
+        minOpen: match[1] === '(',
+        maxOpen: match[4] === ')'
+    };
+}
+
+function inRange(value, range) {
+    const aboveMin = range.minOpen ? value > range.min : value >= range.min;
+    const belowMax = range.maxOpen ? value < range.max : value <= range.max;
+    return aboveMin && belowMax;
+}
+
+function isSection(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Field);
+}
+
+function show(value) {
+    return typeof value === 'string' ? `"${value}"` : Array.isArray(value) ? 'a list' : String(value);
+}
+
+export class Field {
+    /**
+     * @param {Object} spec
+     * @param {string} spec.type - 'number' | 'integer' | 'boolean' | 'string' | 'list' | 'record' | 'union'
+     * @param {Object} [spec.range] - Parsed interval (numbers).
+     * @param {string} [spec.unit] - Shown in errors and the tuning panel.
+     * @param {Array} [spec.values] - Allowed values (strings).
+     * @param {RegExp} [spec.pattern] - Format (strings).
+     * @param {Field} [spec.items] - Element field (lists).
+     * @param {Field|Object} [spec.of] - Value field or section (records: any keys).
+     * @param {Field[]} [spec.options] - Alternatives (unions).
+     * @param {boolean} [spec.nullable=false]
+     */
+    constructor(spec) {
+        Object.assign(this, { unit: '', nullable: false }, spec);
+    }
+
+    /**
+     * @returns {string} e.g. 'number in [0, 1) (velocity kept per step)'
+     */
+    describe() {
+        let text = this.type;
+        if (this.range) text += ` in ${this.range.text}`;
+        if (this.values) text += ` (one of ${this.values.map(show).join(', ')})`;
+        if (this.options) text = this.options.map(option => option.describe()).join(' or ');
+        if (this.unit) text += ` (${this.unit})`;
+        return this.nullable ? `${text} or null` : text;
+    }
+}
+
+export const number = (range = '(-inf, inf)', unit = '') => new Field({ type: 'number', range: parseRange(range), unit });
+export const integer = (range = '(-inf, inf)', unit = '') => new Field({ type: 'integer', range: parseRange(range), unit });
+export const boolean = () => new Field({ type: 'boolean' });
+export const string = () => new Field({ type: 'string' });
+export const color = () => new Field({ type: 'string', pattern: /^#[0-9a-f]{6}$/i, unit: '#rrggbb' });
+export const oneOf = (...values) => new Field({ type: 'string', values });
+export const list = (items) => new Field({ type: 'list', items });
+export const record = (of) => new Field({ type: 'record', of });
+export const union = (...options) => new Field({ type: 'union', options });
+export const nullable = (field) => new Field({ ...field, nullable: true });
+
+/**
+ * Problems with one value (nested lists and records included).
+ * @returns {string[]} Messages prefixed with their path.
+ */
+function checkValue(value, spec, path, errors) {
+    if (isSection(spec)) {
+        checkSection(value, spec, path, errors);
+        return errors;
+    }
+
+    if (value === null && spec.nullable) return errors;
+    if (value === undefined) {
+        errors.push(`${path}: missing (${spec.describe()})`);
+        return errors;
+    }
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${path}: expected ${spec.describe()}, got ${show(value)}`);
+            } else if (!inRange(value, spec.range)) {
+                errors.push(`${path}: ${value} is outside ${spec.range.text}${spec.unit ? ` (${spec.unit})` : ''}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') errors.push(`${path}: expected boolean, got ${show(value)}`);
+            break;
+        case 'string':
+            if (typeof value !== 'string' || (spec.values && !spec.values.includes(value)) || (spec.pattern && !spec.pattern.test(value))) {
+                errors.push(`${path}: expected ${spec.describe()}, got ${show(value)}`);
+            }
+            break;
+        case 'list':
+            if (!Array.isArray(value)) errors.push(`${path}: expected a list, got ${show(value)}`);
+            else value.forEach((item, i) => checkValue(item, spec.items, `${path}[${i}]`, errors));
+            break;
+        case 'record':
+            if (!isSection(value)) errors.push(`${path}: expected a section, got ${show(value)}`);
+            else Object.keys(value).forEach(key => checkValue(value[key], spec.of, `${path}.${key}`, errors));
+            break;
+        case 'union':
+            if (spec.options.every(option => checkValue(value, option, path, []).length > 0)) {
+                errors.push(`${path}: expected ${spec.describe()}, got ${show(value)}`);
+            }
+            break;
+        default:
+            errors.push(`${path}: schema has unknown type "${spec.type}"`);
+    }
+    return errors;
+}
+
+function checkSection(node, schema, path, errors) {
+    if (!isSection(node)) {
+        errors.push(`${path}: expected a section, got ${show(node)}`);
+        return;
+    }
+    const join = key => (path ? `${path}.${key}` : key);
+
+    Object.keys(schema).forEach((key) => {
+        if (!(key in node)) {
+            const spec = schema[key];
+            errors.push(`${join(key)}: missing${spec instanceof Field ? ` (${spec.describe()})` : ' section'}`);
+        } else {
+            checkValue(node[key], schema[key], join(key), errors);
+        }
+    });
+    Object.keys(node).forEach((key) => {
+        if (!(key in schema)) errors.push(`${join(key)}: unknown key`);
+    });
+}
+
+/**
+ * @param {Object} config
+ * @param {Object} schema - Sections of Fields (js/config.schema.js).
+ * @param {Array<{ path: string, test: function(Object): boolean, message: string }>} [rules] -
+ *        Cross-value checks, run once the shape is valid.
+ * @returns {string[]} One message per problem (empty when valid).
+ */
+export function validateConfig(config, schema, rules = []) {
+    const errors = [];
+    checkSection(config, schema, '', errors);
+    if (errors.length > 0) return errors;
+
+    rules.forEach(({ path, test, message }) => {
+        if (!test(config)) errors.push(`${path}: ${message}`);
+    });
+    return errors;
+}
+
+/**
+ * @returns {Field|Object|undefined} The field (or section) declared for a path.
+ */
+export function fieldAt(schema, path) {
+    return path.split('.').reduce((spec, key) => {
+        if (isSection(spec)) return spec[key];
+        if (spec instanceof Field && spec.type === 'record') return spec.of;
+        return undefined;
+    }, schema);
+}
+
+/**
+ * @returns {string|null} Why a single value doesn't fit its field, or null.
+ */
+export function fieldError(value, spec) {
+    const errors = checkValue(value, spec, '', []);
+    return errors.length > 0 ? errors[0].replace(/^: /, '') : null;
+}
+
+/**
+ * Reads a value written as text (a URL query parameter) as its field's type:
+ * numbers and booleans ('true'/'false', '1'/'0', bare flag) are parsed, 'null'
+ * is null where allowed, lists and records are JSON. Ranges are not checked
+ * here (see fieldError).
+ * @param {string} text
+ * @param {Field} spec
+ * @returns {*} The value, or undefined if the text can't be read as that type.
+ */
+export function coerceValue(text, spec) {
+    if (spec.nullable && text === 'null') return null;
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+        case 'boolean':
+            if (text === '' || text === 'true' || text === '1') return true;
+            if (text === 'false' || text === '0') return false;
+            return undefined;
+        case 'string':
+            return text;
+        case 'union':
+            // First option that reads the text and accepts it ('1234' is a number, 'tuesday' a string)
+            for (const option of spec.options) {
+                const value = coerceValue(text, option);
+                if (value !== undefined && fieldError(value, option) === null) return value;
+            }
+            return undefined;
+        default:
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return undefined;
+            }
+    }
+}
+
+const TOKENS = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`(?:\\.|[^`\\])*`|[A-Za-z_$][\w$]*|\S/g;
+
+/**
+ * Keys declared twice in the same object literal. Invisible at runtime (the last
+ * declaration silently wins), so this reads the source text.
+ * @param {string} source - e.g. the text of js/config.js
+ * @returns {string[]} Dotted paths of repeated keys.
+ */
+export function findDuplicateKeys(source) {
+    const duplicates = [];
+    const stack = [];
+    let prev = '';
+    let beforePrev = '';
+    let lastKey = null;
+
+    for (const [token] of source.matchAll(TOKENS)) {
+        if (token.startsWith('//') || token.startsWith('/*')) continue;
+        const frame = stack[stack.length - 1];
+
+        if (token === '{' || token === '[') {
+            const parent = frame ? frame.path : '';
+            const name = frame && frame.keys && lastKey ? lastKey : ''; // List items share the list's path
+            stack.push({
+                keys: token === '{' ? new Set() : null,
+                path: [parent, name].filter(Boolean).join('.')
+            });
+            lastKey = null;
+        } else if (token === '}' || token === ']') {
+            stack.pop();
+        } else if (token === ':' && frame && frame.keys && (beforePrev === '{' || beforePrev === ',')) {
+            const key = /^['"]/.test(prev) ? prev.slice(1, -1) : prev;
+            const path = frame.path ? `${frame.path}.${key}` : key;
+            if (frame.keys.has(key)) duplicates.push(path);
+            frame.keys.add(key);
+            lastKey = key;
+        }
+
+        beforePrev = prev;
+        prev = token;
+    }
+    return duplicates;
+}
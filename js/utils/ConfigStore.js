@@ -0,0 +1,133 @@
+import { APP_CONFIG, replaceConfig } from '../config.js';
+import { CONFIG_RULES, CONFIG_SCHEMA } from '../config.schema.js';
+import { Field, coerceValue, fieldAt, fieldError, findDuplicateKeys, validateConfig } from './ConfigSchema.js';
+import { deepFreeze, getPath, withPath } from './ConfigTree.js';
+
+/**
+ * CONFIG STORE
+ * Owns APP_CONFIG after startup. lockConfig() validates it against
+ * js/config.schema.js and deep-freezes it; from then on setConfig() is the only
+ * way to change a value: it validates the value and CONFIG_RULES, swaps in a
+ * frozen copy (the APP_CONFIG binding is live, so every importer sees it) and
+ * fires a 'config-changed' window event ({ path, value }).
+ */
+
+/**
+ * Validates and freezes APP_CONFIG. Problems are logged, not thrown: the gallery
+ * still opens so the console can say what is wrong.
+ * @returns {string[]} Problems found (empty when valid).
+ */
+export function lockConfig() {
+    const errors = validateConfig(APP_CONFIG, CONFIG_SCHEMA, CONFIG_RULES);
+    errors.forEach(error => console.error(`APP_CONFIG.${error}`));
+    deepFreeze(APP_CONFIG);
+    return errors;
+}
+
+/**
+ * Reports keys declared twice in config.js (the object literal silently keeps the last).
+ * Needs the source text, so it is fetched; quietly skipped where that fails (file://).
+ * @returns {Promise<string[]>} Repeated paths.
+ */
+export async function checkConfigSource(url = new URL('../config.js', import.meta.url)) {
+    let source;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return [];
+        source = await response.text();
+    } catch (e) {
+        return [];
+    }
+
+    const duplicates = findDuplicateKeys(source);
+    duplicates.forEach(path => console.error(`APP_CONFIG.${path}: declared more than once in config.js (the last one wins)`));
+    return duplicates;
+}
+
+/**
+ * Why APP_CONFIG can't take `value` at `path`: the field's own type/range, then
+ * CONFIG_RULES on the changed tree. A rule that was already broken doesn't block
+ * other changes (they may be the fix).
+ * @returns {string|null} The problem, or null if the change is fine.
+ */
+function changeError(path, value) {
+    const field = fieldAt(CONFIG_SCHEMA, path);
+    const error = field ? fieldError(value, field) : 'not in the schema';
+    if (error) return error;
+
+    const next = withPath(APP_CONFIG, path, value);
+    if (!next) return 'not a value';
+    const broken = CONFIG_RULES.find(rule => !rule.test(next) && rule.test(APP_CONFIG));
+    return broken ? `${broken.path} ${broken.message}` : null;
+}
+
+/**
+ * Changes one value at runtime (tuning panel, AudioManager.setEcho).
+ * @param {string} path - e.g. 'BUTTON.softness'
+ * @returns {boolean} False (and a console error) if the path is unknown, the value
+ *     doesn't fit or it breaks a CONFIG_RULES check.
+ */
+export function setConfig(path, value) {
+    const error = changeError(path, value);
+    if (error) {
+        console.error(`APP_CONFIG.${path}: ${error}; change ignored`);
+        return false;
+    }
+
+    replaceConfig(withPath(APP_CONFIG, path, value));
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('config-changed', { detail: { path, value } }));
+    }
+    return true;
+}
+
+const CONFIG_PARAM = /^[A-Z][A-Z0-9_]*(\.|$)/; // Top-level sections are upper case; ?seed, ?tune are not
+
+/**
+ * Applies APP_CONFIG values from the query string
+ * (?BUTTON.body.burstStrain=3&CONFETTI.BATCH_SIZE=200&MELODY.PIECE=ode), read as each
+ * field's type and validated like any setConfig (in query order, so a pair like
+ * SCALE_MIN/SCALE_MAX may need the widening one first). Call before the exhibits are
+ * built: values they read once at construction only take effect then.
+ * Values read while modules load (RANDOM.SEED: use ?seed=) are too early to override.
+ * @param {string} [search] - Defaults to window.location.search.
+ * @returns {{ applied: Array<{ path: string, value: * }>, rejected: Array<{ path: string, text: string, error: string }> }}
+ */
+export function applyOverrides(search = typeof window !== 'undefined' ? window.location.search : '') {
+    const applied = [];
+    const rejected = [];
+
+    new URLSearchParams(search).forEach((text, path) => {
+        if (!CONFIG_PARAM.test(path)) return;
+
+        const spec = fieldAt(CONFIG_SCHEMA, path);
+        const value = spec instanceof Field ? coerceValue(text, spec) : undefined;
+        let error;
+        if (!(spec instanceof Field)) error = spec ? 'a section, not a value' : 'not in the schema';
+        else if (value === undefined) error = `can't read "${text}" as ${spec.describe()}`;
+        else error = changeError(path, value);
+
+        if (error) {
+            console.error(`?${path}=${text}: ${error}; override ignored`);
+            rejected.push({ path, text, error });
+        } else {
+            setConfig(path, value);
+            applied.push({ path, value });
+        }
+    });
+    return { applied, rejected };
+}
+
+/**
+ * Typed read of one value: a missing or mistyped value is logged like lockConfig
+ * does (no `|| fallback` guesses), not thrown, so a typo can't stop an exhibit mid-frame.
+ * @param {string} path - e.g. 'CONFETTI.SPAWN_RADIUS'
+ * @returns {*} The value, as declared in js/config.schema.js (as found, if it doesn't fit).
+ */
+export function readConfig(path) {
+    const value = getPath(APP_CONFIG, path);
+    const field = fieldAt(CONFIG_SCHEMA, path);
+    const error = field ? fieldError(value, field) : 'not in the schema';
+    if (error) console.error(`APP_CONFIG.${path}: ${error}`);
+    return value;
+}
@@ -0,0 +1,117 @@
+/**
+ * CONFIG TREE
+ * Path-based access to APP_CONFIG ('BUTTON.softness', 'PHYSICS.GRAVITY.Face'),
+ * copy-on-write updates of frozen trees, and a writer that prints a tree back as
+ * config.js source.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+const INLINE_WIDTH = 100; // Objects of plain values print on one line up to this many characters
+const INDENT = '    ';
+
+function isBranch(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Every leaf the panel can edit: numbers, booleans and strings.
+ * Arrays (lexicons) and nulls ("use the default") are left to config.js.
+ * @param {Object} tree
+ * @returns {Array<{ path: string, value: *, kind: 'number'|'boolean'|'color'|'text' }>}
+ */
+export function listTunables(tree, prefix = '') {
+    const tunables = [];
+    Object.entries(tree).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isBranch(value)) {
+            tunables.push(...listTunables(value, path));
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            tunables.push({ path, value, kind: 'number' });
+        } else if (typeof value === 'boolean') {
+            tunables.push({ path, value, kind: 'boolean' });
+        } else if (typeof value === 'string') {
+            tunables.push({ path, value, kind: COLOR.test(value) ? 'color' : 'text' });
+        }
+    });
+    return tunables;
+}
+
+/**
+ * @returns {*} The value at path, or undefined if any segment is missing.
+ */
+export function getPath(tree, path) {
+    return path.split('.').reduce((node, key) => (isBranch(node) ? node[key] : undefined), tree);
+}
+
+/**
+ * Copy-on-write update: a new tree with one existing leaf replaced. Only the
+ * sections along the path are copied (and frozen); the rest is shared.
+ * @returns {Object|null} The new tree, or null if the path is unknown or a section.
+ */
+export function withPath(tree, path, value) {
+    const [key, ...rest] = path.split('.');
+    if (!isBranch(tree) || !(key in tree)) return null;
+
+    let next;
+    if (rest.length === 0) {
+        if (isBranch(tree[key])) return null;
+        next = value;
+    } else {
+        next = withPath(tree[key], rest.join('.'), value);
+        if (next === null) return null;
+    }
+    return Object.freeze({ ...tree, [key]: next });
+}
+
+/**
+ * Freezes a tree and everything in it (sections and lists).
+ * @returns {Object} The same tree.
+ */
+export function deepFreeze(tree) {
+    Object.values(tree).forEach((value) => {
+        if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) deepFreeze(value);
+    });
+    return Object.freeze(tree);
+}
+
+/**
+ * Slider bounds around a default: 0..4x (mirrored for negatives), ~200 steps.
+ * @param {number} value
+ * @returns {{ min: number, max: number, step: number }}
+ */
+export function sliderRange(value) {
+    const span = value === 0 ? 1 : Math.abs(value) * 4;
+    const rough = span / 200;
+    let step = Math.pow(10, Math.floor(Math.log10(rough)));
+    if (Number.isInteger(value) && Math.abs(value) >= 10) step = Math.max(1, Math.round(rough));
+
+    return value < 0 ? { min: -span, max: 0, step } : { min: 0, max: span, step };
+}
+
+function formatValue(value, depth) {
+    if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    if (Array.isArray(value)) return `[${value.map(item => formatValue(item, depth)).join(', ')}]`;
+    if (!isBranch(value)) return String(value);
+
+    const entries = Object.entries(value).map(([key, item]) =>
+        `${IDENTIFIER.test(key) ? key : `'${key}'`}: ${formatValue(item, depth + 1)}`);
+    if (entries.length === 0) return '{}';
+
+    const inline = `{ ${entries.join(', ')} }`;
+    const isFlat = Object.values(value).every(item => !isBranch(item) && !Array.isArray(item));
+    if (isFlat && depth > 0 && inline.length <= INLINE_WIDTH) return inline;
+
+    const pad = INDENT.repeat(depth + 1);
+    return `{\n${entries.map(entry => pad + entry).join(',\n')}\n${INDENT.repeat(depth)}}`;
+}
+
+/**
+ * Prints a config tree as a ready-to-paste config.js export (a live `let` binding, see replaceConfig).
+ * @param {Object} tree
+ * @param {string} [name='APP_CONFIG']
+ * @returns {string}
+ */
+export function toConfigSource(tree, name = 'APP_CONFIG') {
+    return `export let ${name} = ${formatValue(tree, 0)};\n`;
+}
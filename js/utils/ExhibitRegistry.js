@@ -0,0 +1,162 @@
+/**
+ * EXHIBIT REGISTRY
+ * Ordered catalogue of the gallery's works. Each exhibit declares its
+ * section, title and lifecycle hooks; GalleryNav walks the list in order.
+ *
+ * Instances implement the Exhibit lifecycle (mount/activate/deactivate/
+ * resize/destroy). A hook declared on the definition replaces the
+ * instance method of the same name.
+ *
+ * Definition shape:
+ * {
+ *     sectionId: 'exhibit-1',         // <section> element to slide in/out
+ *     title: 'The Shadow',            // Human-readable name (arrows, events)
+ *     slug: 'the-shadow',             // Optional: URL hash, defaults to the slugified title
+ *     layers: ['buttonCanvas'],       // Optional: extra elements that slide with the section
+ *     create: () => new Mirror(),     // Builds the component instance (an Exhibit, or a Promise of one)
+ *     fallback: (error) => {},        // Optional: Replacement instance if create/mount fails
+ *     activate: (instance) => {},     // Optional: Exhibit is becoming visible
+ *     deactivate: (instance) => {},   // Optional: Exhibit has finished leaving
+ *     resize: (instance) => {}        // Optional: Viewport changed while visible
+ * }
+ */
+export class ExhibitRegistry {
+    constructor() {
+        this.exhibits = [];
+    }
+
+    register(definition) {
+        if (!definition || !definition.sectionId) {
+            throw new Error('ExhibitRegistry: exhibit requires a sectionId');
+        }
+        if (this.indexOf(definition.sectionId) !== -1) {
+            throw new Error(`ExhibitRegistry: "${definition.sectionId}" is already registered`);
+        }
+
+        const title = definition.title || definition.sectionId;
+        this.exhibits.push({
+            title,
+            slug: ExhibitRegistry.slugify(title),
+            layers: [],
+            ...definition,
+            instance: null,
+            section: null,
+            isActive: false // Desired state, replayed onto late (async) instances
+        });
+        return this;
+    }
+
+    /**
+     * Resolves DOM sections, then constructs and mounts every exhibit.
+     * Exhibits load independently: a slow or failing one never blocks the others.
+     */
+    mountAll() {
+        this.exhibits.forEach(exhibit => {
+            exhibit.section = document.getElementById(exhibit.sectionId);
+            if (exhibit.create) this.mountExhibit(exhibit);
+        });
+    }
+
+    /**
+     * create() -> mount(). On failure the exhibit's fallback (if any) takes its
+     * place; otherwise it is logged and left without an instance.
+     */
+    async mountExhibit(exhibit) {
+        try {
+            await this.install(exhibit, () => exhibit.create());
+        } catch (e) {
+            this.discard(exhibit);
+            if (!exhibit.fallback) {
+                console.error(`CRITICAL: ${exhibit.title} Crash`, e);
+                return;
+            }
+
+            console.warn(`${exhibit.title}: falling back (${e.message})`);
+            try {
+                await this.install(exhibit, () => exhibit.fallback(e));
+            } catch (fallbackError) {
+                this.discard(exhibit);
+                console.error(`CRITICAL: ${exhibit.title} Fallback Crash`, fallbackError);
+            }
+        }
+    }
+
+    async install(exhibit, factory) {
+        const instance = await factory();
+        exhibit.instance = instance;
+        // mount() may be async (asset loading): activate as soon as it has started
+        const mounting = instance.mount();
+        if (exhibit.isActive) this.invoke(exhibit, 'activate');
+        await mounting;
+    }
+
+    discard(exhibit) {
+        if (!exhibit.instance) return;
+        try {
+            exhibit.instance.destroy(); // Release whatever a partial mount bound
+        } catch (e) {
+            // Partially constructed: nothing more to release
+        }
+        exhibit.instance = null;
+    }
+
+    /**
+     * Tears down every mounted exhibit (listeners, loops, GPU resources).
+     */
+    destroyAll() {
+        this.exhibits.forEach(exhibit => {
+            if (exhibit.instance) exhibit.instance.destroy();
+            exhibit.instance = null;
+        });
+    }
+
+    /**
+     * Invokes a lifecycle hook (activate / deactivate / resize).
+     * Definition hooks take precedence over the instance's own method.
+     */
+    call(index, hook) {
+        const exhibit = this.get(index);
+        if (!exhibit) return;
+        if (hook === 'activate') exhibit.isActive = true;
+        if (hook === 'deactivate') exhibit.isActive = false;
+        this.invoke(exhibit, hook);
+    }
+
+    invoke(exhibit, hook) {
+        if (!exhibit.instance) return;
+
+        if (typeof exhibit[hook] === 'function') {
+            exhibit[hook](exhibit.instance);
+        } else if (typeof exhibit.instance[hook] === 'function') {
+            exhibit.instance[hook]();
+        }
+    }
+
+    static slugify(text) {
+        return String(text).toLowerCase().trim()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    get(index) {
+        return this.exhibits[index] || null;
+    }
+
+    indexOf(sectionId) {
+        return this.exhibits.findIndex(exhibit => exhibit.sectionId === sectionId);
+    }
+
+    /**
+     * Looks up an exhibit by URL slug, falling back to its section id.
+     */
+    indexOfSlug(slug) {
+        const index = this.exhibits.findIndex(exhibit => exhibit.slug === slug);
+        return index !== -1 ? index : this.indexOf(slug);
+    }
+
+    get count() {
+        return this.exhibits.length;
+    }
+}
+
+export const exhibitRegistry = new ExhibitRegistry();
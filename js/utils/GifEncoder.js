@@ -0,0 +1,206 @@
+/**
+ * GIF ENCODER
+ * Minimal animated GIF89a writer for keepsakes when MediaRecorder is unavailable.
+ * One fixed 256-colour palette for every frame: a 6x6x6 colour cube plus a 40-step
+ * grey ramp (the Mirror is mostly greys, so they get the extra shades). No dithering.
+ */
+
+const CUBE_LEVELS = 6;
+const CUBE_SIZE = CUBE_LEVELS * CUBE_LEVELS * CUBE_LEVELS; // 216
+const GREY_LEVELS = 256 - CUBE_SIZE;                       // 40
+const GREY_TOLERANCE = 24; // Max channel spread still treated as grey
+const MIN_CODE_SIZE = 8;
+const MAX_CODES = 4096;    // 12-bit LZW limit
+
+function buildPalette() {
+    const palette = new Uint8Array(256 * 3);
+    for (let i = 0; i < CUBE_SIZE; i++) {
+        palette[i * 3] = Math.floor(i / 36) * 51;
+        palette[i * 3 + 1] = (Math.floor(i / 6) % 6) * 51;
+        palette[i * 3 + 2] = (i % 6) * 51;
+    }
+    for (let i = 0; i < GREY_LEVELS; i++) {
+        const v = Math.round(i * 255 / (GREY_LEVELS - 1));
+        palette.fill(v, (CUBE_SIZE + i) * 3, (CUBE_SIZE + i) * 3 + 3);
+    }
+    return palette;
+}
+
+/**
+ * Growable byte buffer.
+ */
+class ByteWriter {
+    constructor(capacity = 1 << 16) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    word(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    array(values) {
+        for (let i = 0; i < values.length; i++) this.byte(values[i]);
+    }
+
+    toUint8Array() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+export class GifEncoder {
+    /**
+     * @param {number} width - px
+     * @param {number} height - px
+     * @param {Object} [options]
+     * @param {number} [options.delay=100] - Frame duration (ms, GIF rounds to 10ms).
+     */
+    constructor(width, height, { delay = 100 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.delay = Math.max(2, Math.round(delay / 10)); // Browsers clamp < 2 to 10
+        this.indices = new Uint8Array(width * height);
+        this.out = new ByteWriter();
+        this.frames = 0;
+        this.writeHeader();
+    }
+
+    writeHeader() {
+        const out = this.out;
+        out.string('GIF89a');
+        out.word(this.width);
+        out.word(this.height);
+        out.byte(0xf7); // Global colour table, 8 bits colour resolution, 256 entries
+        out.byte(0);    // Background colour index
+        out.byte(0);    // Pixel aspect ratio
+        out.array(buildPalette());
+
+        // NETSCAPE2.0: loop forever
+        out.byte(0x21); out.byte(0xff); out.byte(11);
+        out.string('NETSCAPE2.0');
+        out.byte(3); out.byte(1); out.word(0); out.byte(0);
+    }
+
+    /**
+     * @param {Uint8ClampedArray} rgba - width * height RGBA pixels (e.g. ImageData.data); alpha is ignored.
+     */
+    addFrame(rgba) {
+        const indices = this.indices;
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = GifEncoder.paletteIndex(rgba[p], rgba[p + 1], rgba[p + 2]);
+        }
+
+        const out = this.out;
+
+        // Graphic Control Extension: frame delay, no transparency
+        out.byte(0x21); out.byte(0xf9); out.byte(4);
+        out.byte(0x04); // Dispose: leave in place
+        out.word(this.delay);
+        out.byte(0); out.byte(0);
+
+        // Image Descriptor (full frame, global palette)
+        out.byte(0x2c);
+        out.word(0); out.word(0);
+        out.word(this.width); out.word(this.height);
+        out.byte(0);
+
+        this.writeImageData(indices);
+        this.frames++;
+    }
+
+    static paletteIndex(r, g, b) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        if (max - min <= GREY_TOLERANCE) {
+            return CUBE_SIZE + Math.round(((r + g + b) / 3) * (GREY_LEVELS - 1) / 255);
+        }
+        return Math.round(r / 51) * 36 + Math.round(g / 51) * 6 + Math.round(b / 51);
+    }
+
+    /**
+     * LZW-compresses the frame into 255-byte sub-blocks.
+     */
+    writeImageData(indices) {
+        const out = this.out;
+        const clearCode = 1 << MIN_CODE_SIZE;
+        const endCode = clearCode + 1;
+        const table = new Map();
+
+        let codeSize = MIN_CODE_SIZE + 1;
+        let nextCode = endCode + 1;
+        let bits = 0;
+        let bitCount = 0;
+        let block = [];
+
+        const flushBlock = () => {
+            out.byte(block.length);
+            out.array(block);
+            block = [];
+        };
+        const emit = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block.push(bits & 0xff);
+                if (block.length === 255) flushBlock();
+                bits >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        out.byte(MIN_CODE_SIZE);
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === MAX_CODES) {
+                emit(clearCode);
+                table.clear();
+                codeSize = MIN_CODE_SIZE + 1;
+                nextCode = endCode + 1;
+            } else {
+                table.set(key, nextCode);
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                nextCode++;
+            }
+            prefix = k;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) block.push(bits & 0xff);
+        if (block.length > 0) flushBlock();
+        out.byte(0); // Block terminator
+    }
+
+    /**
+     * @returns {Blob} The finished animation (image/gif).
+     */
+    finish() {
+        this.out.byte(0x3b); // Trailer
+        return new Blob([this.out.toUint8Array()], { type: 'image/gif' });
+    }
+}
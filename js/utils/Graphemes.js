@@ -0,0 +1,19 @@
+/**
+ * GRAPHEMES
+ * Splits text into user-perceived characters, so emoji, flags and accented
+ * letters stay whole ('👩‍👧', 'é' typed as e + ◌́).
+ */
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+/**
+ * @param {string} text
+ * @returns {string[]} One entry per grapheme (code points on engines without Intl.Segmenter).
+ */
+export function splitGraphemes(text) {
+    if (!text) return [];
+    if (!segmenter) return Array.from(text);
+    return Array.from(segmenter.segment(text), s => s.segment);
+}
@@ -0,0 +1,120 @@
+import { APP_CONFIG } from '../config.js';
+import { GifEncoder } from './GifEncoder.js';
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+/**
+ * KEEPSAKE RECORDER
+ * Records a canvas into a downloadable file, entirely in the browser.
+ * WebM via MediaRecorder + captureStream() (with an optional audio stream mixed in),
+ * or a silent animated GIF where MediaRecorder is unavailable.
+ *
+ * The source canvas is transparent, so every frame is composited over
+ * KEEPSAKE.BACKGROUND on a private canvas first; call captureFrame() after each draw.
+ */
+export class KeepsakeRecorder {
+    /**
+     * @param {HTMLCanvasElement} source
+     * @param {Object} [options]
+     * @param {MediaStream} [options.audio] - Mixed into WebM recordings.
+     */
+    constructor(source, { audio = null } = {}) {
+        this.source = source;
+        this.audio = audio;
+        this.mimeType = KeepsakeRecorder.videoType();
+        this.format = this.mimeType ? 'webm' : 'gif';
+
+        // GIFs are encoded on the main thread: keep them small
+        const K = APP_CONFIG.KEEPSAKE;
+        const scale = this.format === 'gif' ? Math.min(1, K.GIF_WIDTH / source.width) : 1;
+        this.frame = document.createElement('canvas');
+        this.frame.width = Math.max(1, Math.round(source.width * scale));
+        this.frame.height = Math.max(1, Math.round(source.height * scale));
+        this.frameCtx = this.frame.getContext('2d', { willReadFrequently: this.format === 'gif' });
+
+        this.recorder = null;
+        this.chunks = [];
+        this.gif = null;
+        this.lastGifFrame = -Infinity;
+        this.isRecording = false;
+    }
+
+    /**
+     * @returns {string} Best supported WebM type, or '' if video recording is unavailable.
+     */
+    static videoType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return '';
+        return VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    start() {
+        const K = APP_CONFIG.KEEPSAKE;
+        this.captureFrame(performance.now());
+
+        if (this.format === 'webm') {
+            const stream = this.frame.captureStream(K.VIDEO_FPS);
+            if (this.audio) this.audio.getAudioTracks().forEach(track => stream.addTrack(track));
+
+            this.recorder = new MediaRecorder(stream, { mimeType: this.mimeType, videoBitsPerSecond: K.VIDEO_BITRATE });
+            this.recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
+            };
+            this.recorder.start(1000); // Timeslice: don't hold everything until stop
+        } else {
+            this.gif = new GifEncoder(this.frame.width, this.frame.height, { delay: 1000 / K.GIF_FPS });
+        }
+
+        this.isRecording = true;
+    }
+
+    /**
+     * Copies the source canvas into the recording (call once per rendered frame).
+     * @param {number} now - performance.now()
+     */
+    captureFrame(now) {
+        const { width, height } = this.frame;
+        this.frameCtx.fillStyle = APP_CONFIG.KEEPSAKE.BACKGROUND;
+        this.frameCtx.fillRect(0, 0, width, height);
+        this.frameCtx.drawImage(this.source, 0, 0, width, height);
+
+        if (!this.gif || now - this.lastGifFrame < 1000 / APP_CONFIG.KEEPSAKE.GIF_FPS) return;
+        this.lastGifFrame = now;
+        this.gif.addFrame(this.frameCtx.getImageData(0, 0, width, height).data);
+    }
+
+    /**
+     * @returns {Promise<{ blob: Blob, extension: string }>}
+     */
+    stop() {
+        this.isRecording = false;
+
+        if (this.gif) {
+            return Promise.resolve({ blob: this.gif.finish(), extension: 'gif' });
+        }
+
+        return new Promise((resolve) => {
+            this.recorder.onstop = () => {
+                resolve({ blob: new Blob(this.chunks, { type: 'video/webm' }), extension: 'webm' });
+            };
+            this.recorder.stop();
+        });
+    }
+}
+
+/**
+ * Hands a file to the visitor (no upload: the blob never leaves the page).
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function offerDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
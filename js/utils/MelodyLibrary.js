@@ -0,0 +1,55 @@
+import { parseScore } from './Score.js';
+import { rng } from './Random.js';
+
+const SESSION_KEY = 'gallery.melody';
+
+/**
+ * MELODY LIBRARY
+ * Bundled scores for the Mirror's keystroke sequencer (see Score.js for the format).
+ * Files live in js/melodies/ and are fetched as JSON on demand.
+ */
+export const MELODIES = {
+    'fur-elise': new URL('../melodies/fur-elise.json', import.meta.url),
+    'gymnopedie-1': new URL('../melodies/gymnopedie-1.json', import.meta.url),
+    'greensleeves': new URL('../melodies/greensleeves.json', import.meta.url)
+};
+
+/**
+ * Maps a config value to a bundled melody id.
+ * 'random' picks one piece per browser session (stable across reloads).
+ * @param {string} id - Melody id, or 'random'.
+ */
+export function resolveMelodyId(id) {
+    if (id !== 'random') return id;
+
+    try {
+        const stored = sessionStorage.getItem(SESSION_KEY);
+        if (stored && MELODIES[stored]) return stored;
+    } catch (e) {
+        // Storage blocked: pick fresh each load
+    }
+
+    const ids = Object.keys(MELODIES);
+    const picked = ids[Math.floor(rng.stream('melody').next() * ids.length)];
+    try {
+        sessionStorage.setItem(SESSION_KEY, picked);
+    } catch (e) {
+        // Storage blocked: pick fresh each load
+    }
+    return picked;
+}
+
+/**
+ * Loads and parses a bundled melody.
+ * @param {string} id - Key of MELODIES.
+ * @returns {Promise<Object>} Parsed score.
+ */
+export async function loadMelody(id) {
+    const url = MELODIES[id];
+    if (!url) throw new Error(`MelodyLibrary: unknown melody "${id}"`);
+
+    // Plain fetch: import attributes would be a parse-time error in older engines
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`MelodyLibrary: failed to load "${id}" (${response.status})`);
+    return parseScore(await response.json());
+}
@@ -0,0 +1,52 @@
+/**
+ * PARTICLE POOL
+ * Fixed-capacity, allocation-free particle storage.
+ * Live particles are packed at the front of `items` (indices 0..count-1);
+ * release() swaps the last live particle into the freed slot, so iterate
+ * backwards when releasing inside a loop.
+ */
+export class ParticlePool {
+    /**
+     * @param {number} capacity - Maximum live particles.
+     * @param {function(): Object} factory - Builds one blank particle.
+     */
+    constructor(capacity, factory) {
+        this.items = Array.from({ length: capacity }, factory);
+        this.count = 0;
+    }
+
+    /**
+     * Claims a particle. When full, the one with the least life left is recycled.
+     * Callers must reset every field they rely on.
+     */
+    acquire() {
+        if (this.count < this.items.length) return this.items[this.count++];
+
+        let weakest = 0;
+        for (let i = 1; i < this.count; i++) {
+            if (this.items[i].life < this.items[weakest].life) weakest = i;
+        }
+        return this.items[weakest];
+    }
+
+    /**
+     * Frees the particle at index (O(1), order is not preserved).
+     */
+    release(index) {
+        const last = this.count - 1;
+        if (index !== last) {
+            const freed = this.items[index];
+            this.items[index] = this.items[last];
+            this.items[last] = freed;
+        }
+        this.count--;
+    }
+
+    forEach(callback) {
+        for (let i = 0; i < this.count; i++) callback(this.items[i], i);
+    }
+
+    clear() {
+        this.count = 0;
+    }
+}
@@ -0,0 +1,74 @@
+import { APP_CONFIG } from '../config.js';
+
+const SEED_PARAM = 'seed';
+
+/**
+ * 32-bit FNV-1a: turns a seed label into a PRNG state.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * RANDOM
+ * Seedable PRNG (mulberry32) used instead of Math.random() so a run can be replayed.
+ * Each component draws from its own named stream, so typing in the Mirror never
+ * shifts the Button's confetti (and vice versa): same seed + same input = same frames.
+ */
+export class Random {
+    /**
+     * @param {number} seed - Any 32-bit integer.
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} Uniform in [0, 1), like Math.random().
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @returns {number} Uniform in [min, max).
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * An independent generator derived from this seed and a name.
+     * @param {string} name - e.g. 'mirror', 'button'
+     */
+    stream(name) {
+        return new Random(hashString(`${this.seed}:${name}`));
+    }
+}
+
+/**
+ * Seed priority: ?seed= in the URL, then APP_CONFIG.RANDOM.SEED, then a fresh one.
+ * Non-numeric seeds ('?seed=tuesday') are hashed.
+ * @returns {number}
+ */
+export function resolveSeed(search = typeof window !== 'undefined' ? window.location.search : '') {
+    const param = new URLSearchParams(search).get(SEED_PARAM);
+    const configured = param !== null && param !== '' ? param : APP_CONFIG.RANDOM.SEED;
+
+    if (configured === null || configured === undefined) {
+        return Math.floor(Math.random() * 4294967296); // The one unseeded draw: picks the seed
+    }
+    return /^\d+$/.test(String(configured)) ? Number(configured) >>> 0 : hashString(String(configured));
+}
+
+export const rng = new Random(resolveSeed());
@@ -0,0 +1,114 @@
+/**
+ * SCORE FORMAT
+ * Tiny text-based notation for the keystroke sequencer. One event is played per keystroke.
+ *
+ * {
+ *     "title": "Für Elise",
+ *     "composer": "Ludwig van Beethoven",
+ *     "key": "A minor",       // Optional: tonic + mode, lets the sequencer re-colour the melody
+ *     "tempo": 40,            // Beats per minute
+ *     "wave": "sine",         // Oscillator type (sine | triangle | square | sawtooth)
+ *     "events": [
+ *         "E5/0.5",           // Note lasting half a beat
+ *         "A4",               // Note lasting one beat (default)
+ *         "A2+E3+A4/1.5",     // Chord: pitches joined with "+"
+ *         "r/0.5"             // Rest: the keystroke is silent
+ *     ]
+ * }
+ *
+ * Pitches use scientific pitch notation (C4 = middle C) with # or b accidentals.
+ */
+
+const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const NOTE_PATTERN = /^([A-G])(#|b)?(-?\d)$/;
+const KEY_PATTERN = /^([A-G])(#|b)? (major|minor)$/;
+
+// Scale degrees (semitones above the tonic) that differ between the two modes
+const MINOR_DEGREES = [3, 8, 10]; // b3, b6, b7
+const MAJOR_DEGREES = [4, 9, 11]; // 3, 6, 7
+
+/**
+ * @param {string} name - e.g. 'A4', 'D#5', 'Bb3'
+ * @returns {number} Frequency in Hz (A4 = 440Hz, equal temperament)
+ */
+export function noteToFrequency(name) {
+    const match = NOTE_PATTERN.exec(name);
+    if (!match) throw new Error(`Score: unknown pitch "${name}"`);
+
+    const [, letter, accidental, octave] = match;
+    let semitone = SEMITONES[letter] + (parseInt(octave, 10) + 1) * 12;
+    if (accidental === '#') semitone += 1;
+    if (accidental === 'b') semitone -= 1;
+
+    return 440 * Math.pow(2, (semitone - 69) / 12); // MIDI 69 = A4
+}
+
+/**
+ * @param {string} name - e.g. 'A minor', 'F# major'
+ * @returns {{ tonic: number, mode: string }} Tonic as a pitch class (C = 0).
+ */
+export function parseKey(name) {
+    const match = KEY_PATTERN.exec(name);
+    if (!match) throw new Error(`Score: unknown key "${name}"`);
+
+    const [, letter, accidental, mode] = match;
+    let tonic = SEMITONES[letter];
+    if (accidental === '#') tonic += 1;
+    if (accidental === 'b') tonic -= 1;
+
+    return { tonic: (tonic + 12) % 12, mode };
+}
+
+/**
+ * Moves a pitch into the parallel major or minor (raises/lowers the 3rd, 6th and 7th).
+ * Pitches outside those degrees, or already in the requested mode, are returned unchanged.
+ * @param {number} frequency - Hz
+ * @param {{ tonic: number, mode: string }} key - The key the pitch was written in.
+ * @param {string} mode - 'major' | 'minor'
+ */
+export function shiftMode(frequency, key, mode) {
+    if (!key || key.mode === mode) return frequency;
+
+    const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+    const degree = (((midi - key.tonic) % 12) + 12) % 12;
+    const [from, step] = mode === 'major' ? [MINOR_DEGREES, 1] : [MAJOR_DEGREES, -1];
+
+    return from.includes(degree) ? frequency * Math.pow(2, step / 12) : frequency;
+}
+
+/**
+ * @param {string} token - Event token, e.g. 'E5/0.5', 'A2+E3+A4', 'r/1'
+ * @returns {{ rest: boolean, pitches: string[], frequencies: number[], beats: number }}
+ */
+export function parseEvent(token) {
+    const [body, length] = String(token).trim().split('/');
+    const beats = length === undefined ? 1 : parseFloat(length);
+    if (!(beats > 0)) throw new Error(`Score: invalid duration in "${token}"`);
+
+    if (body === 'r') {
+        return { rest: true, pitches: [], frequencies: [], beats };
+    }
+
+    const pitches = body.split('+');
+    return { rest: false, pitches, frequencies: pitches.map(noteToFrequency), beats };
+}
+
+/**
+ * Validates a raw score (e.g. a bundled JSON melody) into playable events.
+ */
+export function parseScore(raw) {
+    if (!raw || !Array.isArray(raw.events) || raw.events.length === 0) {
+        throw new Error('Score: "events" must be a non-empty array');
+    }
+
+    const tempo = raw.tempo || 60;
+    return {
+        title: raw.title || 'Untitled',
+        composer: raw.composer || '',
+        key: raw.key ? parseKey(raw.key) : null,
+        tempo,
+        secondsPerBeat: 60 / tempo,
+        wave: raw.wave || 'sine',
+        events: raw.events.map(parseEvent)
+    };
+}
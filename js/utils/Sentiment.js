@@ -0,0 +1,56 @@
+/**
+ * SENTIMENT
+ * Tiny keyword lexicon scorer for the Mirror. Runs entirely in the page (no network).
+ * The lexicon and the look/sound of each mood live in APP_CONFIG.EMOTION.
+ */
+
+const WORD_PATTERN = /[\p{L}']+/gu;
+
+/**
+ * Does a typed word count as a lexicon entry?
+ * Entries of 4+ letters also match longer forms ('lonel' -> 'lonely', 'hate' -> 'hated').
+ */
+function matches(word, entry) {
+    return word === entry || (entry.length >= 4 && word.startsWith(entry));
+}
+
+/**
+ * Scores text against each mood's word list. Later words weigh more, so the mood
+ * follows the confession as it turns. A negator right before a word ("not happy")
+ * moves its weight to the lexicon's NEGATED mood.
+ * @param {string} text
+ * @param {Object} emotion - APP_CONFIG.EMOTION
+ * @returns {{ mood: string, scores: Object<string, number> }}
+ */
+export function scoreMood(text, emotion) {
+    const { LEXICON, NEGATORS, NEGATED, NEUTRAL, THRESHOLD } = emotion;
+    const words = text.toLowerCase().match(WORD_PATTERN) || [];
+
+    // Every mood a word can land on: NEGATED may point outside the lexicon ({ hopeful: 'calm' })
+    const scores = {};
+    [...Object.keys(LEXICON), ...Object.values(NEGATED)].forEach(mood => { scores[mood] = 0; });
+
+    words.forEach((word, i) => {
+        const recency = 0.5 + 0.5 * (i + 1) / words.length;
+        const negated = i > 0 && NEGATORS.includes(words[i - 1]);
+
+        for (const mood in LEXICON) {
+            if (!LEXICON[mood].some(entry => matches(word, entry))) continue;
+            const target = negated && NEGATED[mood] ? NEGATED[mood] : mood;
+            scores[target] += recency;
+            break;
+        }
+    });
+
+    // Strongest mood wins (ties: first listed); weak signals stay neutral
+    let mood = NEUTRAL;
+    let best = 0;
+    for (const name in scores) {
+        if (scores[name] >= THRESHOLD && scores[name] > best) {
+            mood = name;
+            best = scores[name];
+        }
+    }
+
+    return { mood, scores };
+}
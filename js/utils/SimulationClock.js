@@ -0,0 +1,42 @@
+import { APP_CONFIG } from '../config.js';
+
+/**
+ * SIMULATION CLOCK
+ * Fixed-timestep accumulator shared by every exhibit.
+ * Physics constants in APP_CONFIG are tuned "per step" at SIMULATION.STEP_HZ,
+ * so gravity, drag and decay mean the same thing on 30Hz, 60Hz and 120Hz displays.
+ */
+export class SimulationClock {
+    constructor({ hz = APP_CONFIG.SIMULATION.STEP_HZ, maxFrame = APP_CONFIG.SIMULATION.MAX_FRAME } = {}) {
+        this.step = 1 / hz;       // Fixed dt (seconds)
+        this.maxFrame = maxFrame; // Clamp for tab switches / debugger pauses (prevents spiral of death)
+        this.reset();
+    }
+
+    reset() {
+        this.lastTime = null;
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    /**
+     * Consumes real elapsed time in fixed steps.
+     * @param {number} now - Frame timestamp in ms (requestAnimationFrame time).
+     * @param {function(number)} stepFn - Called once per fixed step with dt in seconds.
+     * @returns {number} alpha - Blend factor [0, 1) between the previous and current state.
+     */
+    advance(now, stepFn) {
+        if (this.lastTime === null) this.lastTime = now;
+        const frame = Math.min(Math.max(0, (now - this.lastTime) / 1000), this.maxFrame);
+        this.lastTime = now;
+
+        this.accumulator += frame;
+        while (this.accumulator >= this.step) {
+            stepFn(this.step);
+            this.accumulator -= this.step;
+        }
+
+        this.alpha = this.accumulator / this.step;
+        return this.alpha;
+    }
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { AudioManager } from '../js/utils/AudioManager.js';
+import { loadMelody } from '../js/utils/MelodyLibrary.js';
+
+// Native Web Audio for Node (needs ALSA's libasound at load time)
+let OfflineContext = null;
+let skip = false;
+try {
+    ({ OfflineAudioContext: OfflineContext } = await import('node-web-audio-api'));
+} catch (e) {
+    skip = `node-web-audio-api unavailable (${e.message.split('\n')[0]})`;
+}
+
+const SAMPLE_RATE = 22050;
+const AUDIBLE = 0.01;
+
+function render(duration, cues) {
+    return AudioManager.renderOffline({ duration, sampleRate: SAMPLE_RATE, OfflineContext }, cues);
+}
+
+/**
+ * Peak level and NaN count over every channel, optionally from `from` seconds on.
+ */
+function analyse(buffer, from = 0) {
+    let peak = 0;
+    let nans = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = Math.floor(from * buffer.sampleRate); i < data.length; i++) {
+            if (Number.isNaN(data[i])) nans++;
+            else peak = Math.max(peak, Math.abs(data[i]));
+        }
+    }
+    return { peak, nans };
+}
+
+function assertClean(buffer, duration) {
+    assert.equal(buffer.length, Math.ceil(duration * SAMPLE_RATE));
+    assert.ok(Math.abs(buffer.duration - duration) < 1 / SAMPLE_RATE);
+
+    const { peak, nans } = analyse(buffer);
+    assert.equal(nans, 0);
+    assert.ok(peak > AUDIBLE, `peak ${peak} is silent`);
+    assert.ok(peak <= 1, `peak ${peak} clips`);
+}
+
+test('playPop renders an audible, unclipped pop', { skip }, async () => {
+    const buffer = await render(0.5, [{ time: 0, play: (audio) => audio.playPop() }]);
+    assertClean(buffer, 0.5);
+});
+
+test('playSadSigh renders an audible, unclipped sigh', { skip }, async () => {
+    const buffer = await render(2, [{ time: 0, play: (audio) => audio.playSadSigh() }]);
+    assertClean(buffer, 2);
+});
+
+test('a melody run keeps sounding to the last keystroke without clipping', { skip }, async (t) => {
+    // Node's fetch has no file: URLs; serve the bundled score from disk
+    t.mock.method(globalThis, 'fetch', async (url) => new Response(await readFile(url)));
+    const score = await loadMelody('fur-elise');
+    const cues = [{ time: 0, play: (audio) => audio.setMelody(score) }];
+    for (let i = 0; i < 12; i++) {
+        cues.push({ time: 0.05 + i * 0.2, play: (audio) => audio.playNextNote() });
+    }
+
+    const buffer = await render(3, cues);
+    assertClean(buffer, 3);
+    assert.ok(analyse(buffer, 2.2).peak > AUDIBLE, 'the last notes are silent');
+});
+
+test('a cue that throws fails the render instead of stalling it', { skip }, async () => {
+    const cues = [{ time: 0.1, play: () => { throw new Error('broken cue'); } }];
+    await assert.rejects(render(0.5, cues), /broken cue/);
+});
+
+test('nothing plays before a context exists', () => {
+    const audio = new AudioManager({ persist: false });
+    assert.equal(audio.ctx, null);
+    assert.doesNotThrow(() => {
+        audio.playPop();
+        audio.playSadSigh();
+        audio.setVolume(0.5);
+    });
+    assert.equal(audio.getVolume(), 0.5);
+});
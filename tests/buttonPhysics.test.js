@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APP_CONFIG } from '../js/config.js';
+import { calculateWeights, deformDomeGrabs } from '../js/physics/ButtonPhysics.js';
+
+/**
+ * Upper hemisphere vertex grid laid out like THREE.SphereGeometry(66, w, h, 0, 2PI, 0, PI/2).
+ */
+function createDome(radius = 66, widthSegments = 32, heightSegments = 16) {
+    const positions = [];
+    for (let iy = 0; iy <= heightSegments; iy++) {
+        const theta = (iy / heightSegments) * (Math.PI / 2);
+        for (let ix = 0; ix <= widthSegments; ix++) {
+            const phi = (ix / widthSegments) * Math.PI * 2;
+            positions.push(
+                -radius * Math.cos(phi) * Math.sin(theta),
+                radius * Math.cos(theta),
+                radius * Math.sin(phi) * Math.sin(theta)
+            );
+        }
+    }
+    return Float32Array.from(positions);
+}
+
+const dome = createDome();
+const vertexCount = dome.length / 3;
+
+/**
+ * Single pointer grab.
+ */
+function deformSingle(original, weights, drag, bulgeStrength, out) {
+    return deformDomeGrabs(original, [{ weights, drag }], bulgeStrength, out);
+}
+
+test('Cauchy weights stay within [0, 1] and peak at the grab point', () => {
+    const weights = new Float32Array(vertexCount);
+
+    for (const softness of [15, APP_CONFIG.BUTTON.softness, 500]) {
+        // Any vertex above the base ring (the ring itself is pinned)
+        for (const grab of [0, 40, Math.floor(vertexCount / 2), vertexCount - 40]) {
+            calculateWeights(dome, grab, softness, weights);
+            weights.forEach((w, i) => {
+                assert.ok(w >= 0 && w <= 1, `weight ${w} at vertex ${i} (grab ${grab}, softness ${softness})`);
+            });
+            assert.equal(weights[grab], 1);
+        }
+    }
+});
+
+test('weights fall off with distance from the grab point', () => {
+    const weights = calculateWeights(dome, 0, APP_CONFIG.BUTTON.softness, new Float32Array(vertexCount));
+    const top = weights[0];
+    const rim = weights[vertexCount - 1];
+    assert.ok(top > rim);
+});
+
+test('deformation never produces NaN vertices', () => {
+    const weights = calculateWeights(dome, 40, APP_CONFIG.BUTTON.softness, new Float32Array(vertexCount));
+    weights[3] = NaN; // Corrupt weight must not poison the mesh
+    const out = new Float32Array(dome.length);
+    const drags = [
+        { x: 0, y: 0, z: 0 }, { x: 30, y: 200, z: -10 }, { x: 0, y: -400, z: 0 },
+        { x: 1e6, y: -1e6, z: 1e6 }, { x: NaN, y: 10, z: 0 }
+    ];
+
+    for (const drag of drags) {
+        for (const bulge of [0, APP_CONFIG.BUTTON.bulgeStrength, 5]) {
+            deformSingle(dome, weights, drag, bulge, out);
+            out.forEach((v, i) => assert.ok(!Number.isNaN(v), `NaN at ${i} for drag ${JSON.stringify(drag)}`));
+        }
+    }
+});
+
+test('deformation keeps vertices above the bezel', () => {
+    const weights = calculateWeights(dome, 40, APP_CONFIG.BUTTON.softness, new Float32Array(vertexCount));
+    const out = deformSingle(dome, weights, { x: 0, y: -5000, z: 0 }, 0, new Float32Array(dome.length));
+    for (let i = 1; i < out.length; i += 3) assert.ok(out[i] >= -15);
+});
+
+test('zero drag leaves the dome at rest', () => {
+    const weights = calculateWeights(dome, 40, APP_CONFIG.BUTTON.softness, new Float32Array(vertexCount));
+    const out = deformSingle(dome, weights, { x: 0, y: 0, z: 0 }, APP_CONFIG.BUTTON.bulgeStrength, new Float32Array(dome.length));
+    out.forEach((v, i) => assert.ok(v === dome[i], `vertex component ${i} moved`));
+});
+
+test('two grabs pull their own regions apart (pinch/stretch)', () => {
+    const left = vertexCount - 40;
+    const right = left - 16; // Same ring, opposite side of the dome
+    const grabs = [
+        { weights: calculateWeights(dome, left, APP_CONFIG.BUTTON.softness, new Float32Array(vertexCount)), drag: { x: -60, y: 0, z: 0 } },
+        { weights: calculateWeights(dome, right, APP_CONFIG.BUTTON.softness, new Float32Array(vertexCount)), drag: { x: 60, y: 0, z: 0 } }
+    ];
+    const out = deformDomeGrabs(dome, grabs, 0, new Float32Array(dome.length));
+
+    assert.ok(out[left * 3] < dome[left * 3] - 30, 'left grab did not follow its drag');
+    assert.ok(out[right * 3] > dome[right * 3] + 30, 'right grab did not follow its drag');
+});
+
+test('overlapping grabs share a vertex instead of doubling the pull', () => {
+    const weights = calculateWeights(dome, 40, APP_CONFIG.BUTTON.softness, new Float32Array(vertexCount));
+    const drag = { x: 40, y: 30, z: 0 };
+    const one = deformSingle(dome, weights, drag, 0, new Float32Array(dome.length));
+    const two = deformDomeGrabs(dome, [{ weights, drag }, { weights, drag }], 0, new Float32Array(dome.length));
+    two.forEach((v, i) => assert.ok(Math.abs(v - one[i]) < 1e-3, `component ${i}: ${v} vs ${one[i]}`));
+});
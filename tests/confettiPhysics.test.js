@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APP_CONFIG } from '../js/config.js';
+import { closestPointOnRay, stepConfetti } from '../js/physics/ConfettiPhysics.js';
+import { Random } from '../js/utils/Random.js';
+
+const C = APP_CONFIG.CONFETTI;
+
+function launch(random) {
+    return {
+        pos: { x: 0, y: 40, z: 0 },
+        vel: {
+            x: (random.next() - 0.5) * C.EXPLOSION_POWER,
+            y: C.VELOCITY_Y_BASE + random.next() * C.VELOCITY_Y_VAR,
+            z: (random.next() - 0.5) * C.EXPLOSION_POWER
+        },
+        rot: { x: 0, y: 0, z: 0 },
+        tiltAngle: random.next() * Math.PI,
+        tiltAngleIncrement: random.next() * 0.1 + 0.05,
+        wobble: random.next() * Math.PI * 2,
+        wobbleIncrement: random.next() * 0.1 + 0.05,
+        baseScale: C.SCALE_MIN,
+        scale: 0,
+        life: 2.0 + random.next() * 1.5
+    };
+}
+
+test('confetti dies once it falls below DEATH_Y', () => {
+    const p = launch(new Random(7));
+    p.life = 1e9; // Only the floor can kill it
+
+    let steps = 0;
+    while (p.life > 0 && steps < 100000) {
+        stepConfetti(p, null);
+        steps++;
+    }
+    assert.equal(p.life, 0);
+    assert.ok(p.pos.y < C.DEATH_Y);
+});
+
+test('every particle dies, without NaN, within its lifetime', () => {
+    const random = new Random(42);
+    const maxSteps = Math.ceil(3.5 / C.LIFE_DECAY) + 1;
+
+    for (let n = 0; n < 200; n++) {
+        const p = launch(random);
+        let steps = 0;
+        while (p.life > 0) {
+            stepConfetti(p, null);
+            for (const v of [p.pos.x, p.pos.y, p.pos.z, p.vel.x, p.vel.y, p.vel.z, p.scale]) {
+                assert.ok(Number.isFinite(v));
+            }
+            assert.ok(p.vel.y >= -C.TERMINAL_VEL);
+            steps++;
+        }
+        assert.ok(steps <= maxSteps, `lived ${steps} steps`);
+        assert.equal(p.scale, 0);
+    }
+});
+
+test('pointer ray repels nearby confetti', () => {
+    const p = launch(new Random(1));
+    p.pos = { x: 10, y: 0, z: 0 };
+    p.vel = { x: 0, y: 0, z: 0 };
+    const ray = { origin: { x: 0, y: 0, z: 500 }, direction: { x: 0, y: 0, z: -1 } };
+
+    stepConfetti(p, ray);
+    assert.ok(p.vel.x > 0, 'pushed away from the ray');
+});
+
+test('closest point on a ray clamps to the origin behind it', () => {
+    const ray = { origin: { x: 0, y: 0, z: 0 }, direction: { x: 1, y: 0, z: 0 } };
+    const out = { x: 0, y: 0, z: 0 };
+
+    assert.deepEqual(closestPointOnRay(ray, { x: 5, y: 3, z: 0 }, out), { x: 5, y: 0, z: 0 });
+    assert.deepEqual(closestPointOnRay(ray, { x: -5, y: 3, z: 0 }, out), { x: 0, y: 0, z: 0 });
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { APP_CONFIG } from '../js/config.js';
+import { CONFIG_RULES, CONFIG_SCHEMA } from '../js/config.schema.js';
+import { boolean, coerceValue, findDuplicateKeys, integer, list, nullable, number, oneOf, record, string, union, validateConfig } from '../js/utils/ConfigSchema.js';
+import { applyOverrides, lockConfig, readConfig, setConfig } from '../js/utils/ConfigStore.js';
+
+const SCHEMA = {
+    MODE: oneOf('letter', 'word'),
+    CONFETTI: { DRAG: number('(0, 1)', 'velocity kept per step'), POOL_SIZE: integer('[1, inf)') },
+    MOODS: record({ SEND: nullable(number('[0, 1]')) }),
+    WORDS: list(oneOf('sad', 'mad'))
+};
+
+function valid() {
+    return {
+        MODE: 'letter',
+        CONFETTI: { DRAG: 0.91, POOL_SIZE: 3000 },
+        MOODS: { sad: { SEND: 0.8 }, neutral: { SEND: null } },
+        WORDS: ['sad']
+    };
+}
+
+test('config.js matches its schema and rules', () => {
+    assert.deepEqual(validateConfig(APP_CONFIG, CONFIG_SCHEMA, CONFIG_RULES), []);
+});
+
+test('config.js declares every key once', () => {
+    const source = readFileSync(new URL('../js/config.js', import.meta.url), 'utf8');
+    assert.deepEqual(findDuplicateKeys(source), []);
+    assert.deepEqual(findDuplicateKeys('const C = { EYES: { x: 1 }, L: [{ k: 1, k: 2 }], EYES: { x: 2 } };'), ['L.k', 'EYES']);
+});
+
+test('validation names the path, the problem and the unit', () => {
+    const config = valid();
+    config.CONFETTI.DRAG = 1;
+    config.CONFETTI.POOL_SIZE = 2.5;
+    config.MOODS.sad.SEND = 'loud';
+    config.WORDS.push('glad');
+    config.MODE = 'sentence';
+    config.EXTRA = true;
+    delete config.CONFETTI.POOL_SIZE;
+
+    assert.deepEqual(validateConfig(config, SCHEMA), [
+        'MODE: expected string (one of "letter", "word"), got "sentence"',
+        'CONFETTI.DRAG: 1 is outside (0, 1) (velocity kept per step)',
+        'CONFETTI.POOL_SIZE: missing (integer in [1, inf))',
+        'MOODS.sad.SEND: expected number in [0, 1] or null, got "loud"',
+        'WORDS[1]: expected string (one of "sad", "mad"), got "glad"',
+        'EXTRA: unknown key'
+    ]);
+    assert.deepEqual(validateConfig(valid(), SCHEMA), []);
+});
+
+test('rules run once the shape is valid', () => {
+    const rules = [{ path: 'CONFETTI.DRAG', test: c => c.CONFETTI.DRAG < 0.5, message: 'too slippery' }];
+    assert.deepEqual(validateConfig(valid(), SCHEMA, rules), ['CONFETTI.DRAG: too slippery']);
+});
+
+test('locked config is frozen; setConfig validates and swaps in a new tree', (t) => {
+    t.mock.method(console, 'error', () => { });
+    assert.deepEqual(lockConfig(), []);
+    assert.throws(() => { APP_CONFIG.BUTTON.softness = 1; }, TypeError);
+
+    const before = APP_CONFIG;
+    assert.equal(setConfig('CONFETTI.DRAG', 0.8), true);
+    assert.notEqual(APP_CONFIG, before); // Live binding now points at the new tree
+    assert.equal(APP_CONFIG.CONFETTI.DRAG, 0.8);
+    assert.ok(Object.isFrozen(APP_CONFIG.CONFETTI));
+
+    assert.equal(setConfig('CONFETTI.DRAG', 1.2), false);
+    assert.equal(setConfig('CONFETTI.NOPE', 1), false);
+    assert.equal(APP_CONFIG.CONFETTI.DRAG, 0.8);
+    assert.equal(console.error.mock.callCount(), 2);
+});
+
+test('changes that break a CONFIG_RULES check are rejected', (t) => {
+    t.mock.method(console, 'error', () => { });
+    lockConfig();
+    const { SCALE_MIN, SCALE_MAX } = APP_CONFIG.CONFETTI;
+
+    assert.equal(setConfig('CONFETTI.SCALE_MAX', SCALE_MIN / 2), false);
+    const { applied, rejected } = applyOverrides(`?CONFETTI.SCALE_MIN=${SCALE_MAX * 5}`);
+    assert.deepEqual(applied, []);
+    assert.deepEqual(rejected.map(({ path, error }) => `${path}: ${error}`), [
+        'CONFETTI.SCALE_MIN: CONFETTI.SCALE_MIN must not exceed CONFETTI.SCALE_MAX'
+    ]);
+    assert.equal(APP_CONFIG.CONFETTI.SCALE_MIN, SCALE_MIN);
+    assert.equal(APP_CONFIG.CONFETTI.SCALE_MAX, SCALE_MAX);
+    assert.equal(console.error.mock.callCount(), 2);
+});
+
+test('readConfig returns typed values and logs bad paths', (t) => {
+    t.mock.method(console, 'error', () => { });
+    assert.equal(readConfig('CONFETTI.SPAWN_RADIUS'), APP_CONFIG.CONFETTI.SPAWN_RADIUS);
+    assert.equal(console.error.mock.callCount(), 0);
+
+    assert.equal(readConfig('CONFETTI.SPAWN_RADIUZ'), undefined);
+    assert.match(console.error.mock.calls[0].arguments[0], /CONFETTI\.SPAWN_RADIUZ: not in the schema/);
+});
+
+test('query text is read as the field\'s type', () => {
+    assert.equal(coerceValue('300', number('(0, inf)')), 300);
+    assert.equal(coerceValue('', number()), undefined);
+    assert.equal(coerceValue('soft', number()), undefined);
+    assert.equal(coerceValue('', boolean()), true); // ?GALLERY.WRAP
+    assert.equal(coerceValue('0', boolean()), false);
+    assert.equal(coerceValue('null', nullable(string())), null);
+    assert.equal(coerceValue('null', string()), 'null');
+    assert.equal(coerceValue('1234', union(integer('[0, inf)'), string())), 1234);
+    assert.equal(coerceValue('tuesday', union(integer('[0, inf)'), string())), 'tuesday');
+    assert.deepEqual(coerceValue('["sad","mad"]', list(string())), ['sad', 'mad']);
+});
+
+test('URL overrides apply valid config params and report the rest', (t) => {
+    t.mock.method(console, 'error', () => { });
+    lockConfig();
+    const { applied, rejected } = applyOverrides(
+        '?seed=7&tune&BUTTON.snapLimit=300&CONFETTI.BATCH_SIZE=200&EMOTION.MOODS.sad.FALL=0.5'
+        + '&CONFETTI.DRAG=1.5&CONFETTI.BATCH_SIZE=lots&BUTTON=1&BUTTON.snapLimt=9'
+    );
+
+    assert.deepEqual(applied, [
+        { path: 'BUTTON.snapLimit', value: 300 },
+        { path: 'CONFETTI.BATCH_SIZE', value: 200 },
+        { path: 'EMOTION.MOODS.sad.FALL', value: 0.5 }
+    ]);
+    assert.equal(APP_CONFIG.BUTTON.snapLimit, 300);
+    assert.equal(APP_CONFIG.CONFETTI.BATCH_SIZE, 200);
+    assert.equal(APP_CONFIG.EMOTION.MOODS.sad.FALL, 0.5);
+
+    assert.deepEqual(rejected.map(({ path, error }) => `${path}: ${error}`), [
+        'CONFETTI.DRAG: 1.5 is outside (0, 1) (velocity kept per step)',
+        'CONFETTI.BATCH_SIZE: can\'t read "lots" as integer in [0, inf) (pieces per burst)',
+        'BUTTON: a section, not a value',
+        'BUTTON.snapLimt: not in the schema'
+    ]);
+    assert.equal(console.error.mock.callCount(), 4);
+});
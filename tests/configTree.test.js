@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APP_CONFIG } from '../js/config.js';
+import { deepFreeze, getPath, listTunables, sliderRange, toConfigSource, withPath } from '../js/utils/ConfigTree.js';
+
+const TREE = {
+    NAME: 'gallery',
+    BUTTON: { softness: 85.0, sticky: true },
+    PHYSICS: { GRAVITY: { Face: 0.05, Air: 0.5 } },
+    EMOTION: { NEGATORS: ['not', "don't"], MOODS: { sad: { COLOR: '#A9C1E0', MODE: null } } }
+};
+
+test('tunables cover numbers, booleans and strings, not arrays or nulls', () => {
+    const byPath = Object.fromEntries(listTunables(TREE).map(t => [t.path, t.kind]));
+    assert.deepEqual(byPath, {
+        'NAME': 'text',
+        'BUTTON.softness': 'number',
+        'BUTTON.sticky': 'boolean',
+        'PHYSICS.GRAVITY.Face': 'number',
+        'PHYSICS.GRAVITY.Air': 'number',
+        'EMOTION.MOODS.sad.COLOR': 'color'
+    });
+});
+
+test('withPath copies the path, shares the rest and refuses unknown paths or sections', () => {
+    const tree = deepFreeze(structuredClone(TREE));
+    const next = withPath(tree, 'PHYSICS.GRAVITY.Air', 0.7);
+    assert.equal(getPath(next, 'PHYSICS.GRAVITY.Air'), 0.7);
+    assert.equal(getPath(tree, 'PHYSICS.GRAVITY.Air'), 0.5);
+    assert.equal(next.BUTTON, tree.BUTTON);
+    assert.ok(Object.isFrozen(next.PHYSICS.GRAVITY));
+    assert.equal(withPath(tree, 'NAME', 'museum').NAME, 'museum');
+
+    assert.equal(withPath(tree, 'PHYSICS.GRAVITY.Moon', 1), null);
+    assert.equal(withPath(tree, 'PHYSICS.GRAVITY', 1), null);
+    assert.equal(withPath(tree, 'NOPE.softness', 1), null);
+});
+
+test('deepFreeze freezes sections and lists', () => {
+    const tree = deepFreeze(structuredClone(TREE));
+    assert.throws(() => { tree.BUTTON.softness = 1; }, TypeError);
+    assert.throws(() => { tree.EMOTION.NEGATORS.push('nope'); }, TypeError);
+});
+
+test('slider range brackets the default', () => {
+    [0.08, 85, 1200, 3000, -2000, 0].forEach((value) => {
+        const { min, max, step } = sliderRange(value);
+        assert.ok(min <= value && value <= max, `${value} outside [${min}, ${max}]`);
+        assert.ok(step > 0 && step <= (max - min) / 50, `step ${step} too coarse for ${value}`);
+    });
+});
+
+test('exported snippet is valid config.js that round-trips APP_CONFIG', async () => {
+    const source = toConfigSource(APP_CONFIG);
+    assert.match(source, /^export let APP_CONFIG = \{\n/);
+
+    const module = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+    assert.deepEqual(module.APP_CONFIG, JSON.parse(JSON.stringify(APP_CONFIG)));
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GifEncoder } from '../js/utils/GifEncoder.js';
+import { Random } from '../js/utils/Random.js';
+
+const WIDTH = 300;
+const HEIGHT = 200;
+
+/**
+ * Reads a sub-block chain (length-prefixed, 0-terminated) from `at`.
+ * @returns {{ data: number[], end: number }} Concatenated payload and the offset after the terminator.
+ */
+function readBlocks(bytes, at) {
+    const data = [];
+    while (bytes[at] !== 0) {
+        const length = bytes[at];
+        data.push(...bytes.subarray(at + 1, at + 1 + length));
+        at += 1 + length;
+    }
+    return { data, end: at + 1 };
+}
+
+/**
+ * Reference GIF LZW decoder (variable code size, clear/end codes, 12-bit cap).
+ * @returns {{ indices: number[], maxCodeSize: number, clears: number }}
+ */
+function decodeLzw(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Int32Array(4096);
+    const suffix = new Uint8Array(4096);
+    const sequence = (code) => {
+        const out = [];
+        for (; code >= clearCode; code = prefix[code]) out.push(suffix[code]);
+        out.push(code);
+        return out.reverse();
+    };
+
+    const indices = [];
+    let codeSize = minCodeSize + 1;
+    let maxCodeSize = codeSize;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let clears = 0;
+    let bit = 0;
+
+    while (bit + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) {
+            code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        }
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+            previous = -1;
+            clears++;
+            continue;
+        }
+        if (code === endCode) break;
+        if (previous === -1) {
+            indices.push(code);
+            previous = code;
+            continue;
+        }
+
+        assert.ok(code <= nextCode, `code ${code} before it was defined (next ${nextCode})`);
+        const entry = code < nextCode ? sequence(code) : [...sequence(previous), sequence(previous)[0]];
+        if (nextCode < 4096) {
+            prefix[nextCode] = previous;
+            suffix[nextCode] = entry[0];
+            nextCode++;
+            if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        maxCodeSize = Math.max(maxCodeSize, codeSize);
+        indices.push(...entry);
+        previous = code;
+    }
+    return { indices, maxCodeSize, clears };
+}
+
+/**
+ * Walks a GIF89a file: checks the header and trailer, decodes every frame.
+ */
+function decodeGif(bytes) {
+    assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+    const width = bytes[6] | (bytes[7] << 8);
+    const height = bytes[8] | (bytes[9] << 8);
+    assert.equal(bytes[10], 0xf7, 'global 256-colour table');
+    assert.equal(bytes[bytes.length - 1], 0x3b, 'trailer');
+
+    const frames = [];
+    let at = 13 + 256 * 3;
+    while (bytes[at] !== 0x3b) {
+        if (bytes[at] === 0x21) {
+            at = readBlocks(bytes, at + 2).end; // Extension: label, then sub-blocks
+        } else {
+            assert.equal(bytes[at], 0x2c, `image descriptor at ${at}`);
+            assert.equal(bytes[at + 5] | (bytes[at + 6] << 8), width);
+            assert.equal(bytes[at + 7] | (bytes[at + 8] << 8), height);
+            const { data, end } = readBlocks(bytes, at + 11);
+            frames.push(decodeLzw(data, bytes[at + 10]));
+            at = end;
+        }
+    }
+    assert.equal(at, bytes.length - 1, 'nothing after the trailer');
+    return { width, height, frames };
+}
+
+function noiseFrame(seed) {
+    const random = new Random(seed);
+    const rgba = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let i = 0; i < rgba.length; i++) rgba[i] = Math.floor(random.next() * 256);
+    return rgba;
+}
+
+function expectedIndices(rgba) {
+    const indices = [];
+    for (let p = 0; p < rgba.length; p += 4) indices.push(GifEncoder.paletteIndex(rgba[p], rgba[p + 1], rgba[p + 2]));
+    return indices;
+}
+
+test('frames decode back to their palette indices', async () => {
+    const noise = noiseFrame(7);
+    const flat = new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(128); // Long runs: KwKwK codes
+    const encoder = new GifEncoder(WIDTH, HEIGHT, { delay: 100 });
+    encoder.addFrame(noise);
+    encoder.addFrame(flat);
+
+    const bytes = new Uint8Array(await encoder.finish().arrayBuffer());
+    const { width, height, frames } = decodeGif(bytes);
+    assert.deepEqual([width, height], [WIDTH, HEIGHT]);
+    assert.equal(frames.length, 2);
+
+    const [noisy, plain] = frames;
+    assert.equal(noisy.maxCodeSize, 12, 'code size grew to 12 bits');
+    assert.ok(noisy.clears > 1, 'table reset at 4096 codes');
+    assert.deepEqual(noisy.indices, expectedIndices(noise));
+    assert.deepEqual(plain.indices, expectedIndices(flat));
+});
+
+test('palette indices: greys use the ramp, colours the cube', () => {
+    assert.equal(GifEncoder.paletteIndex(0, 0, 0), 216);
+    assert.equal(GifEncoder.paletteIndex(255, 255, 255), 255);
+    assert.equal(GifEncoder.paletteIndex(255, 0, 0), 5 * 36);
+    assert.equal(GifEncoder.paletteIndex(0, 0, 255), 5);
+});
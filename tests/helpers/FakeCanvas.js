@@ -0,0 +1,57 @@
+/**
+ * FAKE CANVAS
+ * Records 2D context calls so exhibits can draw under Node.
+ * Every method call is logged as { name, args }; property writes are kept.
+ */
+
+const METHODS = [
+    'save', 'restore', 'scale', 'translate', 'rotate', 'setTransform',
+    'clearRect', 'fillRect', 'beginPath', 'closePath', 'moveTo', 'lineTo',
+    'arc', 'ellipse', 'rect', 'clip', 'fill', 'stroke', 'fillText', 'drawImage'
+];
+
+export class FakeContext2D {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.calls = [];
+        this.font = '10px sans-serif';
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.globalAlpha = 1;
+        this.lineWidth = 1;
+        this.shadowBlur = 0;
+        this.shadowColor = 'transparent';
+
+        METHODS.forEach(name => {
+            this[name] = (...args) => this.calls.push({ name, args });
+        });
+    }
+
+    /**
+     * @returns {Array<{name: string, args: Array}>} Calls named `name`.
+     */
+    callsTo(name) {
+        return this.calls.filter(call => call.name === name);
+    }
+
+    reset() {
+        this.calls = [];
+    }
+}
+
+/**
+ * A canvas element stand-in sized in CSS pixels.
+ */
+export function createFakeCanvas(width = 600, height = 800) {
+    const canvas = {
+        width,
+        height,
+        clientWidth: width,
+        clientHeight: height,
+        style: {},
+        getContext: () => canvas.ctx,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width, height, right: width, bottom: height })
+    };
+    canvas.ctx = new FakeContext2D(canvas);
+    return canvas;
+}
@@ -0,0 +1,37 @@
+/**
+ * BROWSER STUBS
+ * Just enough window/document for exhibit modules to import and run headless.
+ * No AudioContext: the AudioManager waits for a gesture that never comes, so
+ * sounds are skipped (see tests/audio.test.js for rendering audio).
+ * Import before any module under js/.
+ */
+
+const elements = new Map();
+const storage = new Map();
+
+globalThis.window = globalThis.window || {
+    location: { search: '' },
+    devicePixelRatio: 1,
+    addEventListener() {},
+    removeEventListener() {},
+    dispatchEvent() {}
+};
+
+globalThis.document = globalThis.document || {
+    getElementById: (id) => elements.get(id) || null,
+    querySelector: () => null,
+    createElement: () => ({ style: {}, classList: { add() {}, remove() {}, toggle() {} } }),
+    documentElement: { style: { setProperty() {}, removeProperty() {} } }
+};
+
+globalThis.localStorage = globalThis.localStorage || {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+/**
+ * Makes document.getElementById(id) return `element`.
+ */
+export function registerElement(id, element) {
+    elements.set(id, element);
+}
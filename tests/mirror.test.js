@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerElement } from './helpers/browserStubs.js';
+import { createFakeCanvas } from './helpers/FakeCanvas.js';
+
+const canvas = createFakeCanvas(600, 800);
+registerElement('shadowCanvas', canvas);
+
+const { Mirror } = await import('../js/components/Mirror.js');
+const { APP_CONFIG } = await import('../js/config.js');
+
+const STEP = 1 / APP_CONFIG.SIMULATION.STEP_HZ;
+
+function createMirror() {
+    const mirror = new Mirror();
+    mirror.img = { width: 300, height: 400 }; // Silhouette stand-in (drawImage is only recorded)
+    mirror.resize();
+    return mirror;
+}
+
+function assertFiniteDrawing(ctx) {
+    for (const name of ['translate', 'rotate', 'fillText', 'ellipse', 'arc', 'lineTo']) {
+        for (const { args } of ctx.callsTo(name)) {
+            args.filter(arg => typeof arg === 'number').forEach(arg => {
+                assert.ok(Number.isFinite(arg), `${name}(${args.join(', ')})`);
+            });
+        }
+    }
+}
+
+test('typed graphemes become tears that fall and are drawn', () => {
+    const mirror = createMirror();
+    mirror.enqueueInput('tell no one');
+
+    for (let i = 0; i < 60; i++) mirror.step(STEP);
+    assert.equal(mirror.inputQueue.length, 0, 'input queue drained');
+    assert.ok(mirror.particles.count > 0);
+
+    canvas.ctx.reset();
+    mirror.draw(0.5);
+    assert.ok(canvas.ctx.callsTo('fillText').length > 0);
+    assertFiniteDrawing(canvas.ctx);
+});
+
+test('multi-codepoint graphemes stay whole', () => {
+    const mirror = createMirror();
+    mirror.enqueueInput('👩‍👧');
+    mirror.step(STEP);
+
+    assert.equal(mirror.particles.count, 1);
+    assert.equal(mirror.particles.items[0].char, '👩‍👧');
+});
+
+test('tears leave the face at BOUNDARY_Y and eventually clear', () => {
+    const mirror = createMirror();
+    const chinY = mirror.layout.y + APP_CONFIG.PHYSICS.BOUNDARY_Y * mirror.layout.h;
+    mirror.spawnTear('a');
+
+    for (let i = 0; i < 2000 && mirror.particles.count > 0; i++) {
+        const p = mirror.particles.items[0];
+        const wasOnFace = p.onFace;
+        const startY = p.y;
+        mirror.step(STEP);
+        if (wasOnFace && !p.onFace && mirror.particles.count > 0) assert.ok(startY > chinY);
+        mirror.draw(1);
+        assertFiniteDrawing(canvas.ctx);
+        canvas.ctx.reset();
+    }
+    assert.equal(mirror.particles.count, 0, 'tear never cleared');
+});
+
+test('typing at speed keeps every letter on the face', () => {
+    const HZ = APP_CONFIG.SIMULATION.STEP_HZ;
+    for (const charsPerSecond of [4, 6, 10]) {
+        const mirror = createMirror();
+        let typed = 0;
+        for (let i = 0; i < 1000; i++) {
+            if (typed < 31 && i % Math.round(HZ / charsPerSecond) === 0) {
+                mirror.enqueueInput(String.fromCharCode(97 + typed % 26));
+                typed++;
+            }
+            mirror.step(STEP);
+            mirror.particles.forEach(p => {
+                if (p.onFace) assert.equal(p.mass, 1, `merged on the face at ${charsPerSecond} chars/s`);
+            });
+        }
+    }
+});
+
+test('a burst of typing never exceeds the pool or produces NaN', () => {
+    const mirror = createMirror();
+    mirror.enqueueInput('x'.repeat(APP_CONFIG.TEARS.POOL_SIZE * 2));
+
+    for (let i = 0; i < 3000; i++) {
+        mirror.step(STEP);
+        assert.ok(mirror.particles.count <= APP_CONFIG.TEARS.POOL_SIZE);
+    }
+    mirror.particles.forEach(p => assert.ok(Number.isFinite(p.x) && Number.isFinite(p.y)));
+    mirror.draw(1);
+    assertFiniteDrawing(canvas.ctx);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APP_CONFIG } from '../js/config.js';
+import { scoreMood } from '../js/utils/Sentiment.js';
+
+const EMOTION = APP_CONFIG.EMOTION;
+
+test('lexicon words set the mood; weak or no signal stays neutral', () => {
+    assert.equal(scoreMood('i am so happy today', EMOTION).mood, 'hopeful');
+    assert.equal(scoreMood('the kettle is on', EMOTION).mood, EMOTION.NEUTRAL);
+    assert.equal(scoreMood('', EMOTION).mood, EMOTION.NEUTRAL);
+});
+
+test('a negator moves the word to its NEGATED mood ("not happy" is sad)', () => {
+    const { mood, scores } = scoreMood('i am not happy', EMOTION);
+    assert.equal(mood, 'sad');
+    assert.equal(scores.hopeful, 0);
+});
+
+test('a NEGATED mood outside the lexicon still scores', () => {
+    const emotion = { ...EMOTION, NEGATED: { hopeful: 'calm' } };
+    const { mood, scores } = scoreMood('not happy', emotion);
+    assert.ok(Number.isFinite(scores.calm), `calm scored ${scores.calm}`);
+    assert.equal(mood, 'calm');
+});
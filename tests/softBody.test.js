@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APP_CONFIG } from '../js/config.js';
+import { calculateWeights, deformDomeGrabs } from '../js/physics/ButtonPhysics.js';
+import { bindSkin, createDomeBody, domeVolume, settleBody, skinDome, stepBody } from '../js/physics/SoftBody.js';
+
+const BODY = APP_CONFIG.BUTTON.body;
+
+/**
+ * Holds the pole and the first two rings pressed `depth` px down for `steps` steps.
+ */
+function pressTop(body, depth, config, steps = 120) {
+    const targets = Float32Array.from(body.rest);
+    const grip = new Float32Array(body.count);
+    for (let i = 0; i < 1 + 2 * body.segments; i++) {
+        targets[i * 3 + 1] -= depth;
+        grip[i] = 1;
+    }
+    for (let t = 0; t < steps; t++) stepBody(body, targets, grip, config);
+}
+
+/**
+ * Pulls the apex like a pointer grab (deformDomeGrabs targets, grip = weight^2).
+ */
+function pullApex(body, drag, steps = 60) {
+    const weights = calculateWeights(body.rest, 0, APP_CONFIG.BUTTON.softness, new Float32Array(body.count));
+    const grip = weights.map(w => w * w);
+    const targets = deformDomeGrabs(body.rest, [{ weights, drag }], 0, new Float32Array(body.count * 3));
+    for (let t = 0; t < steps; t++) stepBody(body, targets, grip, BODY);
+    return body.strain;
+}
+
+test('a body at rest stays at rest, unstrained', () => {
+    const body = createDomeBody(66);
+    assert.ok(body.restVolume > 0, 'triangles wound inwards');
+    for (let t = 0; t < 30; t++) stepBody(body, null, null, BODY);
+    assert.ok(body.strain < 1e-4);
+    assert.ok(settleBody(body));
+});
+
+test('pressure keeps the volume when the top is pressed in', () => {
+    const held = createDomeBody(66);
+    const limp = createDomeBody(66);
+    pressTop(held, 40, BODY);
+    pressTop(limp, 40, { ...BODY, pressure: 0 });
+
+    const ratio = body => domeVolume(body.pos, body.triangles) / body.restVolume;
+    assert.ok(Math.abs(ratio(held) - 1) < 0.02, `volume ratio ${ratio(held)}`);
+    assert.ok(ratio(limp) < 0.9, `volume ratio without pressure ${ratio(limp)}`);
+});
+
+test('the base ring stays pinned and nothing sinks below the bezel', () => {
+    const body = createDomeBody(66);
+    pressTop(body, 200, BODY);
+    pullApex(body, { x: 150, y: -80, z: 40 });
+
+    for (let i = 0; i < body.count; i++) {
+        const g = i * 3;
+        assert.ok(body.pos[g + 1] >= -15, `node ${i} at y ${body.pos[g + 1]}`);
+        if (!body.pinned[i]) continue;
+        assert.deepEqual([...body.pos.subarray(g, g + 3)], [...body.rest.subarray(g, g + 3)]);
+    }
+});
+
+test('let go, the dome overshoots and rings back to exactly rest', () => {
+    const body = createDomeBody(66);
+    pullApex(body, { x: 0, y: 80, z: 0 });
+
+    let lowest = Infinity;
+    let steps = 0;
+    while (!settleBody(body) && steps < 1000) {
+        stepBody(body, null, null, BODY);
+        lowest = Math.min(lowest, body.pos[1]);
+        steps++;
+    }
+    assert.ok(lowest < body.rest[1] - 5, `apex never swung past rest (lowest ${lowest})`);
+    assert.ok(body.isResting, `still moving after ${steps} steps`);
+    assert.deepEqual(body.pos, body.rest);
+});
+
+test('strain grows with the pull and crosses burstStrain', () => {
+    const gentle = pullApex(createDomeBody(66), { x: 0, y: 10, z: 0 });
+    const hard = pullApex(createDomeBody(66), { x: 0, y: 200, z: 0 });
+    assert.ok(gentle < BODY.burstStrain, `gentle pull strain ${gentle}`);
+    assert.ok(hard > BODY.burstStrain, `hard pull strain ${hard}`);
+});
+
+test('skinning is exact at rest and weights sum to one', () => {
+    const body = createDomeBody(66);
+    const positions = new Float32Array(65 * 33 * 3);
+    let v = 0;
+    for (let iy = 0; iy <= 32; iy++) {
+        const theta = (iy / 32) * (Math.PI / 2);
+        for (let ix = 0; ix <= 64; ix++, v += 3) {
+            const phi = (ix / 64) * Math.PI * 2;
+            positions[v] = -66 * Math.cos(phi) * Math.sin(theta);
+            positions[v + 1] = 66 * Math.cos(theta);
+            positions[v + 2] = 66 * Math.sin(phi) * Math.sin(theta);
+        }
+    }
+
+    const skin = bindSkin(body, positions);
+    for (let i = 0; i < skin.weights.length; i += 4) {
+        const sum = skin.weights[i] + skin.weights[i + 1] + skin.weights[i + 2] + skin.weights[i + 3];
+        assert.ok(Math.abs(sum - 1) < 1e-5, `vertex ${i / 4} weights sum to ${sum}`);
+    }
+    const out = skinDome(body, skin, positions, new Float32Array(positions.length));
+    out.forEach((x, i) => assert.ok(Math.abs(x - positions[i]) < 1e-6, `component ${i}: ${x} vs ${positions[i]}`));
+});
+
+test('a poisoned node is put back instead of spreading NaN', () => {
+    const body = createDomeBody(66);
+    body.pos[10 * 3] = NaN;
+    stepBody(body, null, null, BODY);
+    assert.ok(body.pos.every(Number.isFinite));
+});
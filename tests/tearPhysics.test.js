@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APP_CONFIG } from '../js/config.js';
+import { faceFromLayout, integrateTear, stretchStrand } from '../js/physics/TearPhysics.js';
+
+const LAYOUT = { x: 0, y: 0, w: 600, h: 1400 };
+
+function tear(overrides = {}) {
+    return {
+        x: 280, y: 340, prevX: 280, prevY: 340, prevAngle: 0,
+        originX: 280, vx: 0, vy: 0, life: 1, angle: 0,
+        onFace: true, fall: 1, ...overrides
+    };
+}
+
+test('face chin sits at PHYSICS.BOUNDARY_Y of the layout', () => {
+    const face = faceFromLayout(LAYOUT);
+    assert.equal(face.chinY, LAYOUT.y + APP_CONFIG.PHYSICS.BOUNDARY_Y * LAYOUT.h);
+    assert.equal(face.centerX, 300);
+});
+
+test('tears leave the face exactly when they pass BOUNDARY_Y', () => {
+    const face = faceFromLayout(LAYOUT);
+    const p = tear();
+
+    for (let i = 0; i < 1000 && p.onFace; i++) {
+        const startY = p.y;
+        integrateTear(p, face);
+        if (p.onFace) assert.ok(startY <= face.chinY, `still on face below the chin at y=${startY}`);
+        else assert.ok(startY > face.chinY, `left the face above the chin at y=${startY}`);
+    }
+    assert.equal(p.onFace, false, 'tear never left the face');
+});
+
+test('tears integrate without NaN and keep falling', () => {
+    const face = faceFromLayout(LAYOUT);
+    const p = tear();
+
+    let lastY = p.y;
+    for (let i = 0; i < 600; i++) {
+        integrateTear(p, face);
+        for (const key of ['x', 'y', 'vy', 'angle', 'life']) {
+            assert.ok(Number.isFinite(p[key]), `${key} is ${p[key]} at step ${i}`);
+        }
+        assert.ok(p.y >= lastY, 'tear moved upward');
+        lastY = p.y;
+    }
+});
+
+test('face tears follow the wobble path around their origin', () => {
+    const face = faceFromLayout(LAYOUT);
+    const p = tear();
+    const { Amp } = APP_CONFIG.PHYSICS.WOBBLE;
+
+    while (p.onFace) {
+        integrateTear(p, face);
+        if (p.onFace) assert.ok(Math.abs(p.x - p.originX) <= Amp + 1e-9);
+    }
+});
+
+test('heavier mood fall reaches the chin sooner', () => {
+    const face = faceFromLayout(LAYOUT);
+    const stepsToChin = (fall) => {
+        const p = tear({ fall });
+        let steps = 0;
+        while (p.onFace) { integrateTear(p, face); steps++; }
+        return steps;
+    };
+    assert.ok(stepsToChin(1.6) < stepsToChin(0.7));
+});
+
+test('strands stretch with distance fallen, capped at STRAND_SPACING', () => {
+    const strand = tear({ chars: [...'hello'], startY: 340, stretch: 0, prevStretch: 0 });
+    const face = faceFromLayout(LAYOUT);
+
+    for (let i = 0; i < 300; i++) {
+        stretchStrand(strand);
+        assert.ok(strand.stretch >= 0);
+        assert.ok(strand.stretch <= APP_CONFIG.TEARS.STRAND_SPACING);
+        integrateTear(strand, face);
+    }
+    assert.equal(strand.stretch, APP_CONFIG.TEARS.STRAND_SPACING);
+});